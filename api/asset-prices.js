@@ -0,0 +1,14 @@
+const { setCacheHeaders } = require('../lib/cache');
+const { loadAssetPrices } = require('../lib/data');
+const { sendError } = require('../lib/errors');
+const { protect } = require('../lib/security');
+
+module.exports = protect(async (req, res) => {
+    try {
+        const { prices, cache } = await loadAssetPrices();
+        setCacheHeaders(res, { assetPrices: cache });
+        res.json(prices);
+    } catch (error) {
+        sendError(res, error);
+    }
+}, { route: '/api/asset-prices' });
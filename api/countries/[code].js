@@ -0,0 +1,19 @@
+const { setCacheHeaders } = require('../../lib/cache');
+const { runCountryRequest } = require('../../lib/country-request');
+const { sendError } = require('../../lib/errors');
+const { protect } = require('../../lib/security');
+const { validate, COUNTRY_DETAIL_SCHEMA } = require('../../lib/validation');
+
+// GET /api/countries/:code?wealth=&currency=&asOf=
+// Express passes the code as a route parameter, Vercel as a query parameter
+module.exports = protect(async (req, res) => {
+    try {
+        const request = validate({ ...req.query, ...req.params }, COUNTRY_DETAIL_SCHEMA, 'query');
+        const { detail, cache } = await runCountryRequest(request);
+
+        setCacheHeaders(res, cache);
+        res.json(detail);
+    } catch (error) {
+        sendError(res, error);
+    }
+}, { route: '/api/countries/:code' });
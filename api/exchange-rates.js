@@ -1,45 +1,21 @@
-const axios = require('axios');
+const { setCacheHeaders } = require('../lib/cache');
+const { loadExchangeRatesAsOf } = require('../lib/data');
+const { ApiError, sendError } = require('../lib/errors');
+const { protect } = require('../lib/security');
+const { validate, RATES_QUERY_SCHEMA } = require('../lib/validation');
 
-// Cache for exchange rates (Vercel serverless uses Redis or can use in-memory for short durations)
-let exchangeRatesCache = {
-    data: null,
-    timestamp: null,
-    ttl: 3600000 // 1 hour
-};
-
-const EXCHANGE_RATE_API = 'https://api.exchangerate-api.com/v4/latest/';
-
-module.exports = async (req, res) => {
+module.exports = protect(async (req, res) => {
     try {
-        const now = Date.now();
+        const { date } = validate(req.query, RATES_QUERY_SCHEMA, 'query');
+        const { exchangeRates, cache } = await loadExchangeRatesAsOf(date);
 
-        // Check cache
-        if (exchangeRatesCache.data && (now - exchangeRatesCache.timestamp) < exchangeRatesCache.ttl) {
-            console.log('Using cached exchange rates');
-            return res.json(exchangeRatesCache.data);
+        if (!exchangeRates) {
+            throw new ApiError('SNAPSHOT_NOT_FOUND', `No exchange rate snapshot on or before ${date}`, { date });
         }
 
-        console.log('Fetching fresh exchange rates...');
-        const response = await axios.get(EXCHANGE_RATE_API + 'USD', {
-            timeout: 10000
-        });
-
-        exchangeRatesCache = {
-            data: response.data,
-            timestamp: now,
-            ttl: exchangeRatesCache.ttl
-        };
-
-        res.json(response.data);
+        setCacheHeaders(res, { rates: cache });
+        res.json(exchangeRates);
     } catch (error) {
-        console.error('Error fetching exchange rates:', error.message);
-
-        // Return cached data if available, even if expired
-        if (exchangeRatesCache.data) {
-            console.log('Returning stale cache due to API failure');
-            return res.json(exchangeRatesCache.data);
-        }
-
-        res.status(500).json({ error: 'Failed to fetch exchange rates' });
+        sendError(res, error);
     }
-};
+}, { route: '/api/exchange-rates' });
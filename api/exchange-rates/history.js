@@ -0,0 +1,22 @@
+const { getCurrencyHistory } = require('../../lib/rate-history');
+const { sendError } = require('../../lib/errors');
+const { protect } = require('../../lib/security');
+const { validate, HISTORY_QUERY_SCHEMA } = require('../../lib/validation');
+
+// GET /api/exchange-rates/history?currency=XXX&from=YYYY-MM-DD&to=YYYY-MM-DD
+module.exports = protect(async (req, res) => {
+    try {
+        const { currency, from, to } = validate(req.query, HISTORY_QUERY_SCHEMA, 'query');
+        const history = await getCurrencyHistory(currency, { from, to });
+
+        res.json({
+            base: 'USD',
+            currency: currency,
+            from: from || null,
+            to: to || null,
+            history: history
+        });
+    } catch (error) {
+        sendError(res, error);
+    }
+}, { route: '/api/exchange-rates/history' });
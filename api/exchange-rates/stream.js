@@ -0,0 +1,13 @@
+const { sendError } = require('../../lib/errors');
+const { streamRates } = require('../../lib/rate-stream');
+const { protect, clientKeyFor } = require('../../lib/security');
+
+// GET /api/exchange-rates/stream: Server-Sent Events with the current rates,
+// then each new snapshot (see lib/rate-stream.js)
+module.exports = protect(async (req, res) => {
+    try {
+        await streamRates(req, res, clientKeyFor(req));
+    } catch (error) {
+        sendError(res, error);
+    }
+}, { route: '/api/exchange-rates/stream' });
@@ -0,0 +1,39 @@
+const { setCacheHeaders } = require('../../lib/cache');
+const { loadCountries } = require('../../lib/data');
+const { findCountry, getInterestingFact } = require('../../lib/countries');
+const { factDate, getFacts, getFactsDatasetInfo } = require('../../lib/facts');
+const { ApiError, sendError } = require('../../lib/errors');
+const { protect } = require('../../lib/security');
+const { validate, FACTS_QUERY_SCHEMA } = require('../../lib/validation');
+
+// GET /api/facts/:code?date=YYYY-MM-DD
+// Returns the fact shown for a country on `date` (default today, UTC) plus
+// every curated fact, so edits to data/facts.json can be reviewed here.
+// Express passes the code as a route parameter, Vercel as a query parameter
+module.exports = protect(async (req, res) => {
+    try {
+        const request = validate({ ...req.query, ...req.params }, FACTS_QUERY_SCHEMA, 'query');
+        const date = request.date || factDate();
+
+        const { countries, cache } = await loadCountries();
+        const country = findCountry(countries, request.code);
+        if (!country) {
+            throw new ApiError('COUNTRY_NOT_FOUND', `No country with code ${request.code}`, { country: request.code });
+        }
+
+        const { fact, source } = getInterestingFact(country, date);
+
+        setCacheHeaders(res, { countries: cache });
+        res.json({
+            code: country.cca3,
+            name: country.name,
+            date: date,
+            fact: fact,
+            source: source,
+            facts: getFacts(country.cca3),
+            dataset: getFactsDatasetInfo()
+        });
+    } catch (error) {
+        sendError(res, error);
+    }
+}, { route: '/api/facts/:code' });
@@ -1,4 +1,11 @@
-// Health check endpoint
-module.exports = async (req, res) => {
-  res.json({ status: 'ok', message: 'Wealth Ranker API is running' });
-};
+const { checkHealth } = require('../lib/health');
+const { protect } = require('../lib/security');
+
+// Health check endpoint: 200 while the API can serve rankings (status 'ok'
+// or 'degraded'), 503 when it cannot. A check can fetch expired data from
+// upstream, so it costs like any other request.
+module.exports = protect(async (req, res) => {
+    const health = await checkHealth();
+    res.setHeader('Cache-Control', 'no-store');
+    res.status(health.ready ? 200 : 503).json(health);
+}, { route: '/api/health' });
@@ -0,0 +1,20 @@
+const { ApiError, sendError } = require('../lib/errors');
+const { METRICS_CONTENT_TYPE, renderMetrics } = require('../lib/metrics');
+const { protect } = require('../lib/security');
+
+// Prometheus metrics for this instance. With METRICS_KEY set to the name of
+// one of the API_KEYS, only that key may read them.
+module.exports = protect(async (req, res) => {
+    try {
+        const metricsKey = (process.env.METRICS_KEY || '').trim();
+        if (metricsKey && req.apiKey !== metricsKey) {
+            throw new ApiError('UNAUTHORIZED', 'Metrics need the API key named in METRICS_KEY');
+        }
+
+        res.setHeader('Content-Type', METRICS_CONTENT_TYPE);
+        res.setHeader('Cache-Control', 'no-store');
+        res.send(renderMetrics());
+    } catch (error) {
+        sendError(res, error);
+    }
+}, { cost: 0, route: '/api/metrics' });
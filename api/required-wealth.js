@@ -0,0 +1,73 @@
+const { setCacheHeaders } = require('../lib/cache');
+const { loadExchangeRatesAsOf, withAssetRates, loadCountries } = require('../lib/data');
+const { ApiError, sendError } = require('../lib/errors');
+const { filterCountries } = require('../lib/ranking-query');
+const { requiredWealth } = require('../lib/required-wealth');
+const { protect } = require('../lib/security');
+const { resolveTiers } = require('../lib/tiers');
+const { validateRequiredWealthRequest, assertKnownCurrencies } = require('../lib/validation');
+
+// How much is needed to reach a tier in a country, in N countries or in
+// every country matching the filters. GET takes the fields as query
+// parameters, POST as a JSON body.
+module.exports = protect(async (req, res) => {
+    if (req.method !== 'POST' && req.method !== 'GET') {
+        return sendError(res, new ApiError('METHOD_NOT_ALLOWED', 'Use GET or POST for this endpoint'));
+    }
+
+    try {
+        const request = req.method === 'GET'
+            ? validateRequiredWealthRequest(req.query, 'query')
+            : validateRequiredWealthRequest(req.body);
+        const { currency, country, count, wealth, asOf } = request;
+
+        const tiers = request.tiers || resolveTiers();
+        const tier = tiers.find(t => t.id === request.tier);
+        if (!tier) {
+            throw new ApiError('INVALID_PARAMETER', `Unknown tier ${request.tier}`, {
+                field: 'tier',
+                values: tiers.map(t => t.id)
+            });
+        }
+
+        const [{ exchangeRates, cache: ratesCache }, { countries, cache: countriesCache }] = await Promise.all([
+            loadExchangeRatesAsOf(asOf),
+            loadCountries()
+        ]);
+
+        if (!exchangeRates) {
+            throw new ApiError('SNAPSHOT_NOT_FOUND', `No exchange rate snapshot on or before ${asOf}`, { date: asOf });
+        }
+
+        const { rates, assetPrices, cache: assetPricesCache } = await withAssetRates(exchangeRates.rates, [currency], { asOf });
+        assertKnownCurrencies([currency], rates);
+
+        const result = requiredWealth({
+            tier,
+            currency,
+            rates,
+            countries: country ? countries : filterCountries(countries, request),
+            target: { country, count },
+            wealth: wealth === undefined ? null : wealth
+        });
+
+        if (!result) {
+            throw new ApiError('COUNTRY_NOT_FOUND', `No country with code ${country}`, { country });
+        }
+        if (count && result.target.available < count) {
+            throw new ApiError('INVALID_PARAMETER', `Only ${result.target.available} countries can be ranked with these filters`, {
+                field: 'count',
+                available: result.target.available
+            });
+        }
+
+        setCacheHeaders(res, { rates: ratesCache, countries: countriesCache, assetPrices: assetPricesCache });
+        res.json({
+            ...result,
+            ratesDate: exchangeRates.date || null,
+            assetPrices
+        });
+    } catch (error) {
+        sendError(res, error);
+    }
+}, { cost: 5, route: '/api/required-wealth' });
@@ -0,0 +1,34 @@
+const { setCacheHeaders } = require('../lib/cache');
+const { ApiError, sendError } = require('../lib/errors');
+const { runRankingRequest } = require('../lib/ranking-request');
+const { protect } = require('../lib/security');
+const { describeShareCard, renderShareSvg, renderSharePng } = require('../lib/share-image');
+const { validate, validateRankingRequest, SHARE_IMAGE_SCHEMA } = require('../lib/validation');
+
+// GET /api/share-image?wealth=&currency=&format=svg|png
+// Takes the same query parameters as GET /api/calculate-ranking and returns
+// a 1200x630 summary card (SVG by default)
+module.exports = protect(async (req, res) => {
+    if (req.method !== 'GET') {
+        return sendError(res, new ApiError('METHOD_NOT_ALLOWED', 'Use GET for this endpoint'));
+    }
+
+    try {
+        const request = validateRankingRequest(req.query, 'query');
+        const { format = 'svg' } = validate(req.query, SHARE_IMAGE_SCHEMA, 'query');
+
+        const { ranking, cache } = await runRankingRequest(request);
+        const card = describeShareCard(ranking, request.query);
+
+        setCacheHeaders(res, cache);
+        res.setHeader('Cache-Control', 'public, max-age=3600');
+        if (format === 'png') {
+            res.setHeader('Content-Type', 'image/png');
+            return res.send(renderSharePng(card));
+        }
+        res.setHeader('Content-Type', 'image/svg+xml; charset=utf-8');
+        res.send(renderShareSvg(card));
+    } catch (error) {
+        sendError(res, error);
+    }
+}, { cost: 5, route: '/api/share-image' });
@@ -0,0 +1,15 @@
+const { ApiError, sendError } = require('../lib/errors');
+const { protect, describeKeyUsage } = require('../lib/security');
+
+// Rate limit and request counts for the API key the request is made with
+module.exports = protect(async (req, res) => {
+    try {
+        if (!req.apiKey) {
+            throw new ApiError('UNAUTHORIZED', 'Send an API key in X-API-Key or Authorization: Bearer to see its usage');
+        }
+
+        res.json(await describeKeyUsage(req.apiKey));
+    } catch (error) {
+        sendError(res, error);
+    }
+}, { cost: 0, route: '/api/usage' });
@@ -0,0 +1,409 @@
+#!/usr/bin/env node
+// moneystatus: wealth rankings, exchange rates and country details from the
+// command line. Runs the same in-process lookups as the API, through the
+// same cache (CACHE_STORE) and offline fallbacks, and prints a table, JSON
+// or CSV.
+//
+// Usage: moneystatus <command> [arguments] [options] (see USAGE below)
+
+require('dotenv').config();
+const { loadExchangeRatesAsOf, withAssetRates } = require('../lib/data');
+const { runCountryRequest } = require('../lib/country-request');
+const { ApiError } = require('../lib/errors');
+const { rankingToCsv, csvValue } = require('../lib/export');
+const { setLogWriter } = require('../lib/logger');
+const { runRankingRequest } = require('../lib/ranking-request');
+const { rebaseRates } = require('../lib/rate-providers');
+const {
+    validate,
+    validateRankingRequest,
+    assertKnownCurrencies,
+    RATES_QUERY_SCHEMA,
+    COUNTRY_DETAIL_SCHEMA
+} = require('../lib/validation');
+
+const USAGE = `Usage: moneystatus <command> [arguments] [options]
+
+Commands:
+  rank <amount> <currency>   Rank countries by the tier the amount reaches there
+  rates [base] [codes...]    Exchange rates against base (default USD)
+  country <code>             Details of a country (ISO alpha-2 or alpha-3 code)
+
+Options:
+  --format table|json|csv    Output format (default table)
+  --as-of YYYY-MM-DD         Use the stored rates of an earlier day
+  --verbose                  Print debug logs to stderr
+  --help                     Show this help
+
+rank options:
+  --tier <id>                Only countries in this tier
+  --region <name>            Only countries in this region (also --subregion)
+  --language <name>          Only countries speaking this language
+  --min-population <n>       Only countries with at least n people
+  --sort <key>               tier, margin, percentile, local, population or name
+  --order asc|desc           Sort direction
+  --limit <n>, --offset <n>  Page through the results
+  --ppp, --ppp-year <year>   Add purchasing-power-parity figures
+  --basis nominal|ppp        Rank on nominal or PPP figures (needs --ppp)
+  --tiers <json>             Custom tier set
+
+country options:
+  --wealth <amount>          Show which tiers this amount reaches there
+  --currency <code>          Currency of --wealth and the amounts shown (default USD)
+  --tiers <json>             Custom tier set
+
+Exit codes:
+  0   success
+  64  unknown command or option
+  65  invalid input (amount, currency, date, filter)
+  66  not found (country, or rates for --as-of)
+  69  data unavailable (upstream down and nothing cached)
+  70  internal error
+`;
+
+// sysexits(3) codes
+const EXIT_CODES = {
+    OK: 0,
+    USAGE: 64,
+    INVALID_INPUT: 65,
+    NOT_FOUND: 66,
+    UNAVAILABLE: 69,
+    INTERNAL: 70
+};
+
+const FORMATS = ['table', 'json', 'csv'];
+
+// Options each command takes besides --format, --help and --verbose.
+// true marks flags that take no value.
+const COMMAND_OPTIONS = {
+    rank: {
+        tier: false, region: false, subregion: false, language: false, 'min-population': false,
+        sort: false, order: false, limit: false, offset: false,
+        'as-of': false, ppp: true, 'ppp-year': false, basis: false, tiers: false
+    },
+    rates: { 'as-of': false },
+    country: { wealth: false, currency: false, 'as-of': false, tiers: false }
+};
+
+const GLOBAL_OPTIONS = { format: false, help: true, verbose: true };
+
+// Bad command lines, as opposed to values the validation rejects
+class UsageError extends Error {}
+
+const numberFormat = new Intl.NumberFormat('en-US', { maximumFractionDigits: 2 });
+
+function formatNumber(value) {
+    return value === null || value === undefined ? '' : numberFormat.format(value);
+}
+
+// Small rates (e.g. BTC per dollar) keep six significant digits
+function formatRate(value) {
+    return value >= 1
+        ? new Intl.NumberFormat('en-US', { maximumFractionDigits: 4 }).format(value)
+        : new Intl.NumberFormat('en-US', { maximumSignificantDigits: 6 }).format(value);
+}
+
+const camelCase = name => name.replace(/-([a-z])/g, (match, letter) => letter.toUpperCase());
+
+// Split argv into the command, its positional arguments and its options
+// (camel-cased names, e.g. --min-population → minPopulation)
+function parseArgs(argv) {
+    const positionals = [];
+    const options = {};
+    let command = null;
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '-h') {
+            options.help = true;
+            continue;
+        }
+        if (!arg.startsWith('--')) {
+            if (command === null) {
+                command = arg;
+            } else {
+                positionals.push(arg);
+            }
+            continue;
+        }
+
+        const [name, inlineValue] = arg.slice(2).split(/=(.*)/s);
+        const known = { ...GLOBAL_OPTIONS, ...(COMMAND_OPTIONS[command] || {}) };
+        if (!(name in known)) {
+            throw new UsageError(`Unknown option --${name}${command ? ` for ${command}` : ''}`);
+        }
+
+        if (known[name]) {
+            options[camelCase(name)] = true;
+        } else if (inlineValue !== undefined) {
+            options[camelCase(name)] = inlineValue;
+        } else if (i + 1 < argv.length) {
+            options[camelCase(name)] = argv[++i];
+        } else {
+            throw new UsageError(`Option --${name} needs a value`);
+        }
+    }
+
+    return { command, positionals, options };
+}
+
+// Align columns; `right` lists the indexes of right-aligned columns
+function renderTable(headers, rows, right = []) {
+    const widths = headers.map((header, i) => Math.max(header.length, ...rows.map(row => String(row[i]).length)));
+    const line = row => row
+        .map((cell, i) => (right.includes(i) ? String(cell).padStart(widths[i]) : String(cell).padEnd(widths[i])))
+        .join('  ')
+        .trimEnd();
+    return [line(headers), ...rows.map(line)].join('\n') + '\n';
+}
+
+function toCsv(headers, rows) {
+    return [headers, ...rows].map(row => row.map(csvValue).join(',')).join('\r\n') + '\r\n';
+}
+
+function toJson(value) {
+    return JSON.stringify(value, null, 2) + '\n';
+}
+
+// Stderr notes for data that did not come fresh from upstream
+function freshnessNotes({ rates, countries }, countriesSnapshotDate) {
+    const notes = [];
+    if (rates && rates.stale) {
+        notes.push(`Exchange rates are stale (fetched ${rates.fetchedAt}); upstream is unavailable or being refreshed`);
+    }
+    if (countries && countries.source === 'snapshot') {
+        notes.push(`Countries come from the bundled snapshot of ${countriesSnapshotDate}; restcountries is unavailable`);
+    } else if (countries && countries.stale) {
+        notes.push(`Countries are stale (fetched ${countries.fetchedAt}); restcountries is unavailable or being refreshed`);
+    }
+    return notes;
+}
+
+async function rank(positionals, options) {
+    if (positionals.length !== 2) {
+        throw new UsageError('rank takes an amount and a currency, e.g. moneystatus rank 2500000 INR');
+    }
+
+    const { format, verbose, ...fields } = options;
+    const request = validateRankingRequest({ ...fields, wealth: positionals[0], currency: positionals[1] }, 'query');
+    const { ranking, cache } = await runRankingRequest(request);
+    const notes = freshnessNotes(cache, ranking.countriesSnapshotDate);
+
+    if (format === 'json') {
+        return { output: toJson(ranking), notes };
+    }
+    if (format === 'csv') {
+        return { output: rankingToCsv(ranking), notes };
+    }
+
+    // In PPP mode tiers and counts come from each country's ppp figures
+    const usePPP = ranking.basis === 'ppp';
+    const view = country => (usePPP ? country.ppp : country);
+    const reached = (usePPP ? ranking.ppp.tiers : ranking.tiers).filter(tier => tier.count > 0);
+    const totalCountries = usePPP ? ranking.ppp.totalCountries : ranking.totalCountries;
+    const { offset, returned, total } = ranking.pagination;
+
+    let output = `${formatNumber(ranking.originalWealth)} ${ranking.originalCurrency} (${formatNumber(ranking.wealthInUSD)} USD) ` +
+        `reaches a tier in ${formatNumber(totalCountries)} ${totalCountries === 1 ? 'country' : 'countries'}\n`;
+    if (reached.length > 0) {
+        output += `${reached.map(tier => `${tier.name}: ${tier.count}`).join(' · ')}\n`;
+    }
+    output += `Rates of ${ranking.ratesDate || 'today'} · countries ${ranking.countriesSource}\n\n`;
+
+    output += ranking.countries.length === 0
+        ? 'No country matches\n'
+        : renderTable(
+            ['#', 'Country', 'Region', 'Tier', 'Multiple', 'Local amount'],
+            ranking.countries.map((country, index) => [
+                offset + index + 1,
+                country.name,
+                country.region,
+                view(country).tierName,
+                formatNumber(view(country).tierMultiple),
+                `${formatNumber(country.wealthInLocalCurrency)} ${country.bestCurrency}`
+            ]),
+            [0, 4, 5]
+        );
+
+    if (returned < total) {
+        output += `\nShowing ${offset + 1}-${offset + returned} of ${total} (use --limit and --offset for more)\n`;
+    }
+    if (ranking.skippedCountries > 0) {
+        output += `\nSkipped ${ranking.skippedCountries}: ${ranking.skipped.map(country => `${country.name} (${country.reason === 'no-currency'
+            ? 'no currency'
+            : `no rate for ${country.currencies.join(', ')}`})`).join(', ')}\n`;
+    }
+
+    return { output, notes };
+}
+
+async function rates(positionals, options) {
+    const codes = (positionals.length > 0 ? positionals : ['USD']).map(code => validate(
+        { currency: code },
+        { currency: { type: 'currency', required: true } },
+        'query'
+    ).currency);
+    const [base, ...only] = codes;
+    const { date } = validate({ date: options.asOf }, RATES_QUERY_SCHEMA, 'query');
+
+    const { exchangeRates, cache } = await loadExchangeRatesAsOf(date);
+    if (!exchangeRates) {
+        throw new ApiError('SNAPSHOT_NOT_FOUND', `No exchange rate snapshot on or before ${date}`, { date });
+    }
+
+    const { rates: allRates } = await withAssetRates(exchangeRates.rates, codes, { asOf: date });
+    assertKnownCurrencies(codes, allRates);
+
+    const rebased = rebaseRates(allRates, base);
+    const listed = (only.length > 0 ? only : Object.keys(rebased).sort()).filter(code => code !== base || only.length > 0);
+    const result = {
+        base: base,
+        date: exchangeRates.date || null,
+        provider: exchangeRates.provider || null,
+        rates: Object.fromEntries(listed.map(code => [code, rebased[code]]))
+    };
+    const notes = freshnessNotes({ rates: cache });
+
+    if (options.format === 'json') {
+        return { output: toJson(result), notes };
+    }
+    if (options.format === 'csv') {
+        return { output: toCsv(['code', 'rate'], listed.map(code => [code, rebased[code]])), notes };
+    }
+
+    return {
+        output: `1 ${base} in ${listed.length} ${listed.length === 1 ? 'currency' : 'currencies'} · ` +
+            `${result.date || 'today'}${result.provider ? ` (${result.provider})` : ''}\n\n` +
+            renderTable(['Code', 'Rate'], listed.map(code => [code, formatRate(rebased[code])]), [1]),
+        notes
+    };
+}
+
+async function country(positionals, options) {
+    if (positionals.length !== 1) {
+        throw new UsageError('country takes one country code, e.g. moneystatus country JP');
+    }
+
+    const { format, verbose, ...fields } = options;
+    const request = validate({ ...fields, code: positionals[0] }, COUNTRY_DETAIL_SCHEMA, 'query');
+    const { detail, cache } = await runCountryRequest(request);
+    const notes = freshnessNotes(cache, detail.snapshotDate);
+    const withWealth = detail.wealth !== null;
+
+    if (format === 'json') {
+        return { output: toJson(detail), notes };
+    }
+
+    const tierColumns = ['tier', 'name', 'threshold', 'currency', 'required', ...(withWealth ? ['reached', 'shortfall'] : [])];
+    const tierRow = tier => [
+        tier.id, tier.name, tier.threshold, tier.currency, tier.required,
+        ...(withWealth ? [tier.reached, tier.shortfall] : [])
+    ];
+    if (format === 'csv') {
+        return { output: toCsv(tierColumns, detail.tiers.map(tierRow)), notes };
+    }
+
+    const c = detail.country;
+    const currencies = c.currencies.map(currency => `${currency.code} ${currency.name}` +
+        (currency.rate === null ? ' (no rate)' : ` (${formatRate(currency.rate)} per ${detail.currency})`));
+    const facts = [
+        ['Official name', c.officialName],
+        ['Region', c.subregion ? `${c.region} · ${c.subregion}` : c.region],
+        ['Capital', c.capital],
+        ['Population', formatNumber(c.population)],
+        ['Languages', c.languages.join(', ') || 'none listed'],
+        ['Currencies', currencies.join(', ') || 'none'],
+        ['Neighbours', c.neighbours === null ? 'unknown' : c.neighbours.map(n => n.name).join(', ') || 'none'],
+        ['Fact', c.interestingFact]
+    ];
+    const labelWidth = Math.max(...facts.map(([label]) => label.length));
+
+    let output = `${c.name} (${c.cca2} / ${c.cca3})\n` +
+        facts.map(([label, value]) => `${label.padEnd(labelWidth)}  ${value}`).join('\n') + '\n\n';
+    if (withWealth) {
+        output += `${formatNumber(detail.wealth)} ${detail.currency} here:\n`;
+    }
+    output += renderTable(
+        ['Tier', `Needed (${detail.currency})`, 'In', ...(withWealth ? ['Reached', 'Shortfall'] : [])],
+        detail.tiers.map(tier => [
+            tier.name,
+            tier.required === null ? 'n/a' : formatNumber(tier.required),
+            tier.currency || '',
+            ...(withWealth ? [tier.reached ? 'yes' : 'no', tier.reached ? '' : formatNumber(tier.shortfall)] : [])
+        ]),
+        [1, 4]
+    );
+
+    return { output, notes };
+}
+
+const COMMANDS = { rank, rates, country };
+
+function exitCodeFor(error) {
+    if (error instanceof UsageError) return EXIT_CODES.USAGE;
+    const status = error instanceof ApiError ? error.status : 500;
+    if (status === 404) return EXIT_CODES.NOT_FOUND;
+    if (status === 503) return EXIT_CODES.UNAVAILABLE;
+    if (status >= 400 && status < 500) return EXIT_CODES.INVALID_INPUT;
+    return EXIT_CODES.INTERNAL;
+}
+
+// Run one command line. Writes to `io.stdout` / `io.stderr` and resolves to
+// the exit code.
+async function main(argv, io = { stdout: process.stdout, stderr: process.stderr }) {
+    const print = text => io.stderr.write(`moneystatus: ${text}\n`);
+    let options = {};
+
+    try {
+        const parsed = parseArgs(argv);
+        options = parsed.options;
+
+        // Logs are JSON lines for the server; here only errors (or
+        // everything with --verbose) go to stderr
+        process.env.LOG_LEVEL = options.verbose ? 'debug' : 'error';
+        setLogWriter(line => io.stderr.write(`${line}\n`));
+
+        if (options.help || parsed.command === 'help') {
+            io.stdout.write(USAGE);
+            return EXIT_CODES.OK;
+        }
+        if (!parsed.command) {
+            io.stderr.write(USAGE);
+            return EXIT_CODES.USAGE;
+        }
+        if (!COMMANDS[parsed.command]) {
+            throw new UsageError(`Unknown command ${parsed.command} (use rank, rates or country)`);
+        }
+        if (options.format && !FORMATS.includes(options.format)) {
+            throw new UsageError(`--format must be one of ${FORMATS.join(', ')}`);
+        }
+
+        const { output, notes } = await COMMANDS[parsed.command](parsed.positionals, options);
+        notes.forEach(print);
+        io.stdout.write(output);
+        return EXIT_CODES.OK;
+    } catch (error) {
+        const code = exitCodeFor(error);
+        print(error.message);
+        if (error instanceof ApiError && error.cause) {
+            print(error.cause.message);
+        }
+        if (code === EXIT_CODES.INTERNAL && options.verbose) {
+            io.stderr.write(`${error.stack}\n`);
+        }
+        return code;
+    }
+}
+
+if (require.main === module) {
+    main(process.argv.slice(2)).then(code => {
+        // Exit once the output is flushed instead of waiting for background
+        // cache refreshes or an open Redis connection
+        process.stdout.write('', () => process.exit(code));
+    });
+}
+
+module.exports = {
+    EXIT_CODES,
+    main
+};
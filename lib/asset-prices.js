@@ -0,0 +1,165 @@
+// Prices for non-fiat input units (crypto and precious metals). Each
+// provider returns USD prices per unit for the assets it knows about as
+// { date, prices, provider }; ASSET_PRICE_PROVIDERS sets the order they are
+// tried in and later providers only fill in assets still missing.
+
+const axios = require('axios');
+const fs = require('fs').promises;
+const path = require('path');
+const { logger } = require('./logger');
+const { recordUpstream } = require('./metrics');
+
+const ASSETS = {
+    BTC: { name: 'Bitcoin', symbol: '₿', unit: 'coin' },
+    ETH: { name: 'Ether', symbol: 'Ξ', unit: 'coin' },
+    XAU: { name: 'Gold', symbol: 'oz', unit: 'troy ounce' },
+    XAG: { name: 'Silver', symbol: 'oz', unit: 'troy ounce' }
+};
+
+const DEFAULT_PROVIDERS = 'coingecko,file';
+const DEFAULT_TIMEOUT = 10000;
+
+const COINGECKO_URL = 'https://api.coingecko.com/api/v3/simple/price';
+const COINGECKO_IDS = { BTC: 'bitcoin', ETH: 'ethereum' };
+
+const DEFAULT_PRICES_FILE = path.join(__dirname, '..', 'data', 'asset-prices.json');
+
+function isAsset(code) {
+    return Object.prototype.hasOwnProperty.call(ASSETS, code);
+}
+
+function normalizePrices({ date, prices }, provider) {
+    const valid = {};
+    Object.keys(prices || {}).forEach(code => {
+        const price = Number(prices[code]);
+        if (isAsset(code) && Number.isFinite(price) && price > 0) {
+            valid[code] = price;
+        }
+    });
+
+    if (Object.keys(valid).length === 0) {
+        throw new Error(`${provider} returned no asset prices`);
+    }
+
+    return {
+        date: date || new Date().toISOString().slice(0, 10),
+        prices: valid,
+        provider: provider
+    };
+}
+
+const providers = {
+    // CoinGecko simple price API (crypto only). COINGECKO_URL can point at a
+    // local stand-in serving the same { bitcoin: { usd } } shape.
+    'coingecko': async ({ timeout, env }) => {
+        const response = await axios.get(env.COINGECKO_URL || COINGECKO_URL, {
+            timeout,
+            params: { ids: Object.values(COINGECKO_IDS).join(','), vs_currencies: 'usd' }
+        });
+
+        const prices = {};
+        Object.keys(COINGECKO_IDS).forEach(code => {
+            const entry = response.data[COINGECKO_IDS[code]];
+            if (entry) {
+                prices[code] = entry.usd;
+            }
+        });
+
+        return normalizePrices({ prices }, 'coingecko');
+    },
+
+    // Any JSON endpoint serving { date, prices: { BTC: 63300, ... } }
+    'url': async ({ timeout, env }) => {
+        if (!env.ASSET_PRICES_URL) {
+            throw new Error('ASSET_PRICES_URL is not set');
+        }
+
+        const response = await axios.get(env.ASSET_PRICES_URL, { timeout });
+        return normalizePrices(response.data, 'url');
+    },
+
+    // Static local JSON file in the same { date, prices } shape
+    'file': async ({ env }) => {
+        const content = await fs.readFile(env.ASSET_PRICES_FILE || DEFAULT_PRICES_FILE, 'utf8');
+        return normalizePrices(JSON.parse(content), 'file');
+    }
+};
+
+// Ordered provider names from ASSET_PRICE_PROVIDERS, with per-provider
+// timeouts from <NAME>_TIMEOUT (e.g. COINGECKO_TIMEOUT) or ASSET_PRICE_TIMEOUT
+function getAssetProviderChain(env = process.env) {
+    return (env.ASSET_PRICE_PROVIDERS || DEFAULT_PROVIDERS)
+        .split(',')
+        .map(name => name.trim())
+        .filter(Boolean)
+        .map(name => {
+            if (!providers[name]) {
+                throw new Error(`Unknown asset price provider: ${name}`);
+            }
+
+            const timeoutKey = `${name.toUpperCase().replace(/-/g, '_')}_TIMEOUT`;
+            const timeout = parseInt(env[timeoutKey] || env.ASSET_PRICE_TIMEOUT, 10) || DEFAULT_TIMEOUT;
+
+            return { name, timeout };
+        });
+}
+
+// Walk the provider chain until every asset has a price. Returns
+// { base: 'USD', assets: { BTC: { name, symbol, unit, price, date, provider, stale } } }
+// so callers can report which snapshot each price came from. Prices from the
+// static file are not market data and are always `stale`.
+async function fetchAssetPrices(env = process.env) {
+    const assets = {};
+    const errors = [];
+
+    for (const { name, timeout } of getAssetProviderChain(env)) {
+        if (Object.keys(ASSETS).every(code => assets[code])) {
+            break;
+        }
+
+        try {
+            logger.debug('Trying asset price provider', { provider: name });
+            const result = await providers[name]({ timeout, env });
+            recordUpstream('asset-prices', name, 'success');
+            Object.keys(result.prices).forEach(code => {
+                if (!assets[code]) {
+                    assets[code] = {
+                        ...ASSETS[code],
+                        price: result.prices[code],
+                        date: result.date,
+                        provider: result.provider,
+                        stale: result.provider === 'file'
+                    };
+                }
+            });
+        } catch (err) {
+            recordUpstream('asset-prices', name, 'failure');
+            logger.warn('Asset price provider failed', { provider: name, error: err.message });
+            errors.push(`${name}: ${err.message}`);
+        }
+    }
+
+    if (Object.keys(assets).length === 0) {
+        throw new Error(`All asset price providers failed (${errors.join('; ')})`);
+    }
+
+    return { base: 'USD', assets };
+}
+
+// Add asset prices to USD-based rates as units per USD, so convertCurrency
+// handles BTC/ETH/XAU/XAG like any other currency
+function mergeAssetRates(rates, assetPrices) {
+    const merged = { ...rates };
+    Object.keys(assetPrices.assets).forEach(code => {
+        merged[code] = 1 / assetPrices.assets[code].price;
+    });
+    return merged;
+}
+
+module.exports = {
+    ASSETS,
+    isAsset,
+    getAssetProviderChain,
+    fetchAssetPrices,
+    mergeAssetRates
+};
@@ -0,0 +1,276 @@
+// Cache for upstream data (exchange rates, asset prices, countries) that
+// outlives a process: entries are kept in a shared store so restarts, other
+// instances and serverless cold starts can reuse them. CACHE_STORE picks the
+// store: 'memory' (this process only), 'file' (CACHE_DIR, default the OS temp
+// directory) or 'redis' (REDIS_URL). The default is redis when REDIS_URL is
+// set, otherwise file.
+
+const { EventEmitter } = require('events');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { logger } = require('./logger');
+const { recordCacheLookup } = require('./metrics');
+const { createRedisClient } = require('./redis');
+
+const DEFAULT_CACHE_DIR = path.join(os.tmpdir(), 'wealth-ranker-cache');
+const KEY_PREFIX = 'wealth-ranker:';
+
+// How long shared stores keep an entry after it was fetched, so it can still
+// be served when upstream is down
+const DEFAULT_RETAIN = 7 * 86400000; // 7 days
+
+// Response header prefix for each dataset's cache metadata
+const CACHE_HEADER_PREFIXES = {
+    rates: 'X-Rates',
+    countries: 'X-Countries',
+    assetPrices: 'X-Asset-Prices'
+};
+
+// Tells listeners when any cache takes in a newer entry (see onCacheUpdate)
+const updates = new EventEmitter();
+
+// Call `listener(key, entry)` whenever a cache stores a freshly fetched entry
+// or picks up a newer one from the shared store (written by another
+// instance). Returns a function that removes the listener.
+function onCacheUpdate(listener) {
+    updates.on('update', listener);
+    return () => updates.removeListener('update', listener);
+}
+
+// Stores hold entries of the form { value, fetchedAt } (fetchedAt in ms)
+function createMemoryStore() {
+    const entries = new Map();
+
+    return {
+        name: 'memory',
+        get: async key => {
+            const item = entries.get(key);
+            if (item && item.expiresAt <= Date.now()) {
+                entries.delete(key);
+                return null;
+            }
+            return item ? item.entry : null;
+        },
+        set: async (key, entry, retain = DEFAULT_RETAIN) => {
+            entries.set(key, { entry, expiresAt: Date.now() + retain });
+        }
+    };
+}
+
+// One JSON file per key. Files are written to a temporary name and renamed
+// so readers never see half an entry.
+function createFileStore(dir = DEFAULT_CACHE_DIR) {
+    const fileFor = key => path.join(dir, `${encodeURIComponent(key)}.json`);
+
+    return {
+        name: 'file',
+        get: async key => {
+            try {
+                const item = JSON.parse(await fs.readFile(fileFor(key), 'utf8'));
+                return item.expiresAt > Date.now() ? item.entry : null;
+            } catch (error) {
+                if (error.code === 'ENOENT') {
+                    return null;
+                }
+                throw error;
+            }
+        },
+        set: async (key, entry, retain = DEFAULT_RETAIN) => {
+            const file = fileFor(key);
+            const temp = `${file}.${process.pid}.${Date.now()}.tmp`;
+            await fs.mkdir(dir, { recursive: true });
+            await fs.writeFile(temp, JSON.stringify({ entry, expiresAt: Date.now() + retain }));
+            await fs.rename(temp, file);
+        }
+    };
+}
+
+// Entries as JSON strings under KEY_PREFIX, expiring after `retain` ms
+function createRedisStore(client = createRedisClient()) {
+    return {
+        name: 'redis',
+        client: client,
+        get: async key => {
+            const value = await client.get(KEY_PREFIX + key);
+            return value === null ? null : JSON.parse(value);
+        },
+        set: async (key, entry, retain = DEFAULT_RETAIN) => {
+            await client.set(KEY_PREFIX + key, JSON.stringify(entry), retain);
+        }
+    };
+}
+
+const stores = {
+    memory: () => createMemoryStore(),
+    file: env => createFileStore(env.CACHE_DIR || DEFAULT_CACHE_DIR),
+    redis: env => createRedisStore(createRedisClient(env.REDIS_URL, {
+        timeout: parseInt(env.REDIS_TIMEOUT, 10) || undefined
+    }))
+};
+
+// The store configured by CACHE_STORE / REDIS_URL / CACHE_DIR
+function createStore(env = process.env) {
+    const name = (env.CACHE_STORE || (env.REDIS_URL ? 'redis' : 'file')).trim().toLowerCase();
+    if (!stores[name]) {
+        throw new Error(`Unknown CACHE_STORE ${name} (use ${Object.keys(stores).join(', ')})`);
+    }
+    return stores[name](env);
+}
+
+// Cache in front of `store`. Entries read from the store are also kept in
+// this process, and concurrent loads of a missing or expired key share one
+// upstream fetch.
+function createCache(store = createStore()) {
+    const local = createMemoryStore();
+    const shared = store.name === 'memory' ? null : store;
+    const inflight = new Map();
+
+    // A broken shared store (Redis down, read-only disk) degrades to the
+    // in-process cache instead of failing requests
+    async function readShared(key) {
+        try {
+            return await shared.get(key);
+        } catch (error) {
+            logger.warn('Cache read failed', { store: shared.name, key: key, error: error.message });
+            return null;
+        }
+    }
+
+    async function writeShared(key, entry, retain) {
+        try {
+            await shared.set(key, entry, retain);
+        } catch (error) {
+            logger.warn('Cache write failed', { store: shared.name, key: key, error: error.message });
+        }
+    }
+
+    function refresh(key, fetcher, retain) {
+        if (!inflight.has(key)) {
+            const pending = (async () => {
+                try {
+                    const entry = { value: await fetcher(), fetchedAt: Date.now() };
+                    await local.set(key, entry, retain);
+                    if (shared) {
+                        await writeShared(key, entry, retain);
+                    }
+                    updates.emit('update', key, entry);
+                    return entry;
+                } finally {
+                    inflight.delete(key);
+                }
+            })();
+            inflight.set(key, pending);
+        }
+        return inflight.get(key);
+    }
+
+    // The freshest copy of `key` in this process or the shared store, with
+    // the store it came from: { entry, source } or null
+    async function read(key, ttl, retain) {
+        const entry = await local.get(key);
+
+        // Another instance may have refreshed the shared copy
+        if (shared && (!entry || Date.now() - entry.fetchedAt >= ttl)) {
+            const stored = await readShared(key);
+            if (stored && (!entry || stored.fetchedAt > entry.fetchedAt)) {
+                await local.set(key, stored, retain);
+                updates.emit('update', key, stored);
+                return { entry: stored, source: shared.name };
+            }
+        }
+
+        return entry ? { entry, source: 'memory' } : null;
+    }
+
+    function result(entry, stale, source) {
+        return {
+            value: entry.value,
+            fetchedAt: new Date(entry.fetchedAt).toISOString(),
+            stale: stale,
+            source: source
+        };
+    }
+
+    // Load `key`, calling `fetcher` on a miss. Entries younger than `ttl` ms
+    // are fresh. Older ones are served as stale for up to `staleWindow` ms
+    // more while a refresh runs in the background; past that the caller waits
+    // for the refresh, and gets the stale entry only if it fails.
+    // Returns { value, fetchedAt, stale, source }, where source is 'upstream'
+    // or the store the entry came from. Each load counts as a hit, stale or
+    // miss in the metrics.
+    async function load(key, fetcher, { ttl, staleWindow = ttl, retain = DEFAULT_RETAIN }) {
+        const cached = await read(key, ttl, retain);
+
+        if (cached) {
+            const age = Date.now() - cached.entry.fetchedAt;
+            if (age < ttl) {
+                recordCacheLookup(key, 'hit');
+                return result(cached.entry, false, cached.source);
+            }
+            if (age < ttl + staleWindow) {
+                // On serverless hosts this may be cut short when the response
+                // ends; a later request then starts it again
+                refresh(key, fetcher, retain).catch(error => {
+                    logger.warn('Background refresh failed', { key: key, error: error.message });
+                });
+                recordCacheLookup(key, 'stale');
+                return result(cached.entry, true, cached.source);
+            }
+        }
+
+        try {
+            const entry = await refresh(key, fetcher, retain);
+            recordCacheLookup(key, 'miss');
+            return result(entry, false, 'upstream');
+        } catch (error) {
+            if (cached) {
+                recordCacheLookup(key, 'stale');
+                return result(cached.entry, true, cached.source);
+            }
+            recordCacheLookup(key, 'miss');
+            throw error;
+        }
+    }
+
+    // Like load, but never fetches: the cached result or null
+    async function peek(key, { ttl, retain = DEFAULT_RETAIN }) {
+        const cached = await read(key, ttl, retain);
+        return cached ? result(cached.entry, Date.now() - cached.entry.fetchedAt >= ttl, cached.source) : null;
+    }
+
+    return {
+        store: store,
+        load,
+        peek
+    };
+}
+
+// Describe where each dataset in a response came from, e.g.
+// { rates: meta, countries: meta } sets X-Rates-Fetched-At, X-Rates-Stale,
+// X-Rates-Source, X-Countries-Fetched-At, ... Missing datasets are skipped.
+function setCacheHeaders(res, datasets) {
+    Object.keys(datasets).forEach(name => {
+        const meta = datasets[name];
+        const prefix = CACHE_HEADER_PREFIXES[name];
+        if (!meta || !prefix) {
+            return;
+        }
+        if (meta.fetchedAt) {
+            res.setHeader(`${prefix}-Fetched-At`, meta.fetchedAt);
+        }
+        res.setHeader(`${prefix}-Stale`, String(meta.stale));
+        res.setHeader(`${prefix}-Source`, meta.source);
+    });
+}
+
+module.exports = {
+    CACHE_HEADER_PREFIXES,
+    createMemoryStore,
+    createFileStore,
+    createRedisStore,
+    createStore,
+    createCache,
+    onCacheUpdate,
+    setCacheHeaders
+};
@@ -0,0 +1,196 @@
+// Country data helpers shared by the Express server, the Vercel functions
+// and anyone using the library directly.
+
+const { factDate, selectFact } = require('./facts');
+
+// Helper function to generate flag emoji from country code
+function getFlagEmoji(countryCode) {
+    if (!countryCode || countryCode.length !== 2) return '🏳️';
+    const codePoints = countryCode
+        .toUpperCase()
+        .split('')
+        .map(char => 127397 + char.charCodeAt());
+    return String.fromCodePoint(...codePoints);
+}
+
+// Generate a demographic sentence from the country data, used when there is
+// no curated fact. Works on raw restcountries records and normalised ones.
+function generateInterestingFact(country) {
+    const facts = [];
+
+    // Handle country name - support both raw API and processed data
+    const countryName = country.name?.common || country.name || 'This country';
+
+    if (country.population) {
+        const populationStr = country.population >= 1000000000
+            ? `${(country.population / 1000000000).toFixed(1)} billion`
+            : country.population >= 1000000
+            ? `${(country.population / 1000000).toFixed(1)} million`
+            : `${country.population.toLocaleString()}`;
+
+        facts.push(`has a population of ${populationStr} people`);
+    }
+
+    // Handle capital - could be array or string
+    let capitalCity = 'N/A';
+    if (Array.isArray(country.capital)) {
+        capitalCity = country.capital[0] || 'N/A';
+    } else if (country.capital) {
+        capitalCity = country.capital;
+    }
+
+    if (capitalCity && capitalCity !== 'N/A') {
+        facts.push(`with ${capitalCity} as its capital city`);
+    }
+
+    if (country.region) {
+        facts.push(`located in ${country.region}`);
+    }
+
+    // Handle languages - could be object or array
+    let languagesList = [];
+    if (country.languages) {
+        if (typeof country.languages === 'object' && !Array.isArray(country.languages)) {
+            languagesList = Object.values(country.languages);
+        } else if (Array.isArray(country.languages)) {
+            languagesList = country.languages;
+        }
+    }
+
+    if (languagesList.length > 0) {
+        const langList = languagesList.slice(0, 3).join(', ');
+        facts.push(`where people speak ${langList}${languagesList.length > 3 ? ' and more' : ''}`);
+    }
+
+    if (facts.length === 0) {
+        return `${countryName} is one of the countries in our ranking.`;
+    }
+
+    return `${countryName} ${facts.join(', ')}.`;
+}
+
+// The fact shown for a country on `date`: a curated one when data/facts.json
+// has any for it, otherwise the generated sentence.
+// Returns { fact, source: 'curated' | 'generated' }.
+function getInterestingFact(country, date = factDate()) {
+    const curated = selectFact(country.cca3, date);
+    if (curated) {
+        return { fact: curated.fact, source: 'curated' };
+    }
+
+    return { fact: generateInterestingFact(country), source: 'generated' };
+}
+
+// Re-pick the facts of already normalised countries for `date` (in place)
+function refreshInterestingFacts(countries, date = factDate()) {
+    countries.forEach(country => {
+        const { fact, source } = getInterestingFact(country, date);
+        country.interestingFact = fact;
+        country.factSource = source;
+    });
+    return countries;
+}
+
+// Convert a restcountries v2 record to the v3.1 field layout. v3.1 records
+// are returned unchanged.
+function toV3Country(country) {
+    if (!country || typeof country.name !== 'string') {
+        return country;
+    }
+
+    const currencies = {};
+    (country.currencies || []).forEach(currency => {
+        if (currency.code) {
+            currencies[currency.code] = { name: currency.name, symbol: currency.symbol };
+        }
+    });
+
+    const languages = {};
+    (country.languages || []).forEach(language => {
+        languages[language.iso639_2 || language.name] = language.name;
+    });
+
+    return {
+        name: { common: country.name, official: country.name },
+        cca2: country.alpha2Code,
+        cca3: country.alpha3Code,
+        flags: country.flags || (country.flag ? { svg: country.flag } : {}),
+        currencies: currencies,
+        region: country.region,
+        subregion: country.subregion,
+        population: country.population,
+        capital: country.capital ? [country.capital] : [],
+        languages: languages,
+        borders: country.borders
+    };
+}
+
+// Turn a raw restcountries record (v3.1 or v2) into the shape served by
+// /api/countries. Returns null for entries without a usable name.
+//
+// `currencies` lists every legal tender in restcountries order; `currency`,
+// `currencyName` and `currencySymbol` describe the first (primary) one and
+// are null for territories without a currency. `borders` holds the alpha-3
+// codes of land neighbours, or null when the source did not include them.
+// `interestingFact` is picked for `date` (see getInterestingFact) and
+// `factSource` says where it came from.
+function normalizeCountry(rawCountry, date = factDate()) {
+    const country = toV3Country(rawCountry);
+
+    if (!country || !country.name || !country.name.common) {
+        return null;
+    }
+
+    const currencies = Object.entries(country.currencies || {}).map(([code, currency]) => ({
+        code: code,
+        name: currency?.name || code,
+        symbol: currency?.symbol || ''
+    }));
+    const primaryCurrency = currencies[0] || null;
+    const interestingFact = getInterestingFact(country, date);
+
+    return {
+        name: country.name.common,
+        officialName: country.name.official || country.name.common,
+        cca2: country.cca2 || '',
+        cca3: country.cca3 || '',
+        flag: country.flags?.emoji || getFlagEmoji(country.cca2 || ''),
+        flagUrl: country.flags?.png || country.flags?.svg || '',
+        currency: primaryCurrency ? primaryCurrency.code : null,
+        currencyName: primaryCurrency ? primaryCurrency.name : null,
+        currencySymbol: primaryCurrency ? primaryCurrency.symbol : null,
+        currencies: currencies,
+        region: country.region || 'World',
+        subregion: country.subregion || '',
+        population: country.population || 0,
+        capital: country.capital && country.capital[0] ? country.capital[0] : 'N/A',
+        languages: country.languages ? Object.values(country.languages) : [],
+        borders: Array.isArray(country.borders) ? country.borders : null,
+        interestingFact: interestingFact.fact,
+        factSource: interestingFact.source
+    };
+}
+
+// Normalise a whole restcountries payload, dropping invalid entries
+function normalizeCountries(rawCountries, date = factDate()) {
+    return (rawCountries || [])
+        .map(country => normalizeCountry(country, date))
+        .filter(Boolean);
+}
+
+// Find a normalised country by ISO alpha-2 or alpha-3 code (case-insensitive)
+function findCountry(countries, code) {
+    const upper = String(code || '').toUpperCase();
+    return countries.find(c => c.cca3 === upper || c.cca2 === upper) || null;
+}
+
+module.exports = {
+    getFlagEmoji,
+    generateInterestingFact,
+    getInterestingFact,
+    refreshInterestingFacts,
+    toV3Country,
+    normalizeCountry,
+    normalizeCountries,
+    findCountry
+};
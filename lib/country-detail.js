@@ -0,0 +1,70 @@
+// Everything about one country for the detail view: its record with
+// neighbours resolved, and what each tier takes there in the user's currency.
+
+const { DEFAULT_TIERS } = require('./tiers');
+const { convertCurrency } = require('./ranking');
+const { findCountry } = require('./countries');
+const { requiredInCountry } = require('./required-wealth');
+const { getPPPFactor } = require('./ppp');
+const { WEALTH_STATS_DATASET, getWealthStats, describeRelativeWealth } = require('./wealth-stats');
+
+// `currency` is the currency amounts are reported in; `wealth` (in that
+// currency) is optional and adds reached/shortfall figures per tier and per
+// local currency. Neighbours are null when the country data has no borders.
+function describeCountry(country, {
+    countries,
+    rates,
+    currency = 'USD',
+    wealth = null,
+    tiers = DEFAULT_TIERS,
+    wealthStats = WEALTH_STATS_DATASET
+}) {
+    const neighbours = Array.isArray(country.borders)
+        ? country.borders
+            .map(code => findCountry(countries, code))
+            .filter(Boolean)
+            .map(neighbour => ({ name: neighbour.name, cca2: neighbour.cca2, cca3: neighbour.cca3, flag: neighbour.flag }))
+        : null;
+
+    const tierDetails = tiers.map(tier => {
+        const cheapest = requiredInCountry(country, tier.threshold, currency, rates);
+        const required = cheapest ? cheapest.required : null;
+
+        return {
+            id: tier.id,
+            name: tier.name,
+            badge: tier.badge,
+            threshold: tier.threshold,
+            currency: cheapest ? cheapest.code : null,
+            required: required,
+            reached: required === null || wealth === null ? null : wealth >= required,
+            shortfall: required === null || wealth === null ? null : Math.max(0, required - wealth),
+            multiple: required === null || wealth === null ? null : wealth / required
+        };
+    });
+
+    // `rate` is local units per one unit of `currency`
+    const currencies = (country.currencies || []).map(c => ({
+        ...c,
+        rate: rates[c.code] ? convertCurrency(1, currency, c.code, rates) : null,
+        wealthInLocalCurrency: rates[c.code] && wealth !== null ? convertCurrency(wealth, currency, c.code, rates) : null
+    }));
+
+    const wealthInUSD = wealth === null ? null : convertCurrency(wealth, currency, 'USD', rates);
+
+    return {
+        country: { ...country, currencies, neighbours },
+        currency: currency,
+        wealth: wealth,
+        wealthInUSD: wealthInUSD,
+        tiers: tierDetails,
+        ppp: getPPPFactor(country.cca3),
+        relative: wealthInUSD === null
+            ? null
+            : describeRelativeWealth(wealthInUSD, getWealthStats(country.cca3, wealthStats))
+    };
+}
+
+module.exports = {
+    describeCountry
+};
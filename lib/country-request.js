@@ -0,0 +1,55 @@
+// Run a validated country detail request: rates (live or historical),
+// countries, asset prices and the detail body. Shared by
+// /api/countries/:code and the moneystatus CLI.
+
+const { loadExchangeRatesAsOf, withAssetRates, loadCountries } = require('./data');
+const { findCountry } = require('./countries');
+const { describeCountry } = require('./country-detail');
+const { ApiError } = require('./errors');
+const { resolveTiers } = require('./tiers');
+const { assertKnownCurrencies } = require('./validation');
+
+// `request` is the output of validate(…, COUNTRY_DETAIL_SCHEMA). Returns
+// { detail, cache }: the /api/countries/:code response body and the cache
+// metadata of the data it used (for setCacheHeaders).
+async function runCountryRequest(request) {
+    const currency = request.currency || 'USD';
+    const tiers = request.tiers || resolveTiers();
+
+    const [{ exchangeRates, cache: ratesCache }, { countries, source, snapshotDate, cache: countriesCache }] = await Promise.all([
+        loadExchangeRatesAsOf(request.asOf),
+        loadCountries()
+    ]);
+
+    const country = findCountry(countries, request.code);
+    if (!country) {
+        throw new ApiError('COUNTRY_NOT_FOUND', `No country with code ${request.code}`, { country: request.code });
+    }
+    if (!exchangeRates) {
+        throw new ApiError('SNAPSHOT_NOT_FOUND', `No exchange rate snapshot on or before ${request.asOf}`, { date: request.asOf });
+    }
+
+    const { rates, assetPrices, cache: assetPricesCache } = await withAssetRates(exchangeRates.rates, [currency], { asOf: request.asOf });
+    assertKnownCurrencies([currency], rates);
+
+    return {
+        detail: {
+            ...describeCountry(country, {
+                countries,
+                rates,
+                currency,
+                wealth: request.wealth === undefined ? null : request.wealth,
+                tiers
+            }),
+            ratesDate: exchangeRates.date || null,
+            assetPrices,
+            source: source,
+            snapshotDate: snapshotDate
+        },
+        cache: { rates: ratesCache, countries: countriesCache, assetPrices: assetPricesCache }
+    };
+}
+
+module.exports = {
+    runCountryRequest
+};
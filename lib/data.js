@@ -0,0 +1,401 @@
+// In-process data providers for exchange rates and countries. Every handler
+// (and library user) goes through these instead of calling our own HTTP
+// endpoints, so a ranking request costs one invocation. Upstream data is
+// cached in the shared store configured for lib/cache.js.
+
+const axios = require('axios');
+const path = require('path');
+const { normalizeCountries, refreshInterestingFacts } = require('./countries');
+const { factDate } = require('./facts');
+const { recordSnapshot, getSnapshot } = require('./rate-history');
+const { fetchRates } = require('./rate-providers');
+const { fetchAssetPrices, isAsset, mergeAssetRates } = require('./asset-prices');
+const { ApiError, upstreamError } = require('./errors');
+const { createCache } = require('./cache');
+const { logger } = require('./logger');
+const { recordUpstream } = require('./metrics');
+
+// restcountries v3.1 fields the app uses (the bundled snapshot adds borders)
+const COUNTRY_FIELDS = ['name', 'cca2', 'cca3', 'flags', 'currencies', 'region', 'subregion', 'population', 'capital', 'languages'];
+
+const COUNTRY_ENDPOINTS = [
+    `https://restcountries.com/v3.1/all?fields=${COUNTRY_FIELDS.join(',')}`,
+    'https://restcountries.com/v3.1/all',
+    'https://restcountries.com/v2/all?fields=name,alpha2Code,alpha3Code,flags,currencies,region,subregion,population,capital,languages,borders'
+];
+
+// The v3.1 fields filter allows at most 10 fields, so land borders come from
+// a second request
+const COUNTRY_BORDERS_ENDPOINT = 'https://restcountries.com/v3.1/all?fields=cca3,borders';
+
+// Bundled country list used when every endpoint fails on a cold start
+// (regenerate with `npm run refresh-countries`)
+const COUNTRIES_SNAPSHOT_FILE = path.join(__dirname, '..', 'data', 'countries-snapshot.json');
+
+// How long to serve the snapshot before trying the live endpoints again
+const SNAPSHOT_RETRY_INTERVAL = 300000; // 5 minutes
+
+// Timeout for each restcountries request; COUNTRIES_TIMEOUT overrides it
+const DEFAULT_COUNTRIES_TIMEOUT = 10000;
+
+// How long cached data is fresh, in ms. Expired data is still served for
+// the same time again while it is refreshed in the background.
+const CACHE_TTLS = {
+    exchangeRates: 3600000, // 1 hour
+    assetPrices: 3600000, // 1 hour
+    countries: 86400000 // 24 hours
+};
+
+let cache = null;
+
+// Retry the live country endpoints no earlier than this after they all failed
+let countriesRetryAt = 0;
+
+let countriesSnapshot = null;
+
+// Day each cached country list last had its facts picked for
+const factsDates = new WeakMap();
+
+function getCache() {
+    if (!cache) {
+        cache = createCache();
+    }
+    return cache;
+}
+
+// Cache upstream data in `store` (see lib/cache.js) instead of the one set
+// by CACHE_STORE. Data cached so far in this process is dropped.
+function setCacheStore(store) {
+    cache = createCache(store);
+    countriesRetryAt = 0;
+}
+
+// Split a cache result into its value and the metadata reported in
+// responses ({ fetchedAt, stale, source })
+function splitCacheResult({ value, ...meta }) {
+    return { value, meta };
+}
+
+async function fetchExchangeRates() {
+    logger.info('Fetching fresh exchange rates');
+    const rates = await fetchRates();
+
+    // The static file is a last resort: when live rates are cached, failing
+    // here keeps serving them (marked stale) instead of replacing them with
+    // the fixture
+    if (rates.provider === 'file') {
+        const cached = await getCache().peek('exchange-rates', { ttl: CACHE_TTLS.exchangeRates });
+        if (cached && cached.value.provider !== 'file') {
+            throw new Error('Live exchange rate providers failed; keeping the cached live rates');
+        }
+    }
+
+    // Keep every live snapshot for historical queries (the static file
+    // provider is not market data); a failed write (e.g. read-only
+    // filesystem) must not fail the request
+    if (rates.provider !== 'file') {
+        try {
+            await recordSnapshot(rates);
+        } catch (err) {
+            logger.warn('Failed to record exchange rate snapshot', { error: err.message });
+        }
+    }
+
+    return rates;
+}
+
+// Get USD-based exchange rates from the provider chain with their cache
+// metadata: { exchangeRates, cache }. Stale rates are served when the
+// providers fail.
+async function loadExchangeRates() {
+    try {
+        const { value, meta } = splitCacheResult(await getCache().load('exchange-rates', fetchExchangeRates, {
+            ttl: CACHE_TTLS.exchangeRates
+        }));
+        if (meta.source !== 'upstream') {
+            logger.debug('Using cached exchange rates', meta);
+        }
+        return { exchangeRates: value, cache: meta };
+    } catch (error) {
+        throw upstreamError('Exchange rates', error);
+    }
+}
+
+// Get USD-based exchange rates (see loadExchangeRates)
+async function getExchangeRates() {
+    const { exchangeRates } = await loadExchangeRates();
+    return exchangeRates;
+}
+
+// Whether a YYYY-MM-DD `asOf` date asks for stored rates rather than live ones
+function isHistorical(date) {
+    return Boolean(date) && date < new Date().toISOString().slice(0, 10);
+}
+
+// Rates as of a YYYY-MM-DD date with their cache metadata: live rates for
+// today (or no date), otherwise the latest stored snapshot on or before that
+// day. `exchangeRates` is null when no snapshot is old enough; a day after
+// today is an INVALID_DATE error.
+async function loadExchangeRatesAsOf(date) {
+    if (date && date > new Date().toISOString().slice(0, 10)) {
+        throw new ApiError('INVALID_DATE', `No exchange rates for ${date} yet`, { date });
+    }
+    if (!isHistorical(date)) {
+        return loadExchangeRates();
+    }
+
+    const snapshot = await getSnapshot(date);
+    return {
+        exchangeRates: snapshot,
+        cache: snapshot ? { fetchedAt: snapshot.fetchedAt || null, stale: false, source: 'history' } : null
+    };
+}
+
+// Get rates as of a YYYY-MM-DD date (see loadExchangeRatesAsOf). Returns
+// null when no snapshot is old enough.
+async function getExchangeRatesAsOf(date) {
+    const { exchangeRates } = await loadExchangeRatesAsOf(date);
+    return exchangeRates;
+}
+
+// Cache metadata for `assets`: stale as well when any of them comes from the
+// static file
+function assetPricesMeta(meta, assets) {
+    return Object.values(assets).some(asset => asset.stale) ? { ...meta, stale: true } : meta;
+}
+
+// Get USD prices for BTC, ETH, XAU and XAG from the asset price provider
+// chain with their cache metadata: { prices, cache }
+async function loadAssetPrices() {
+    const { prices, cache: meta } = await loadCachedAssetPrices();
+    return { prices, cache: assetPricesMeta(meta, prices.assets) };
+}
+
+async function loadCachedAssetPrices() {
+    try {
+        const { value, meta } = splitCacheResult(await getCache().load('asset-prices', () => {
+            logger.info('Fetching fresh asset prices');
+            return fetchAssetPrices();
+        }, { ttl: CACHE_TTLS.assetPrices }));
+        if (meta.source !== 'upstream') {
+            logger.debug('Using cached asset prices', meta);
+        }
+        return { prices: value, cache: meta };
+    } catch (error) {
+        throw upstreamError('Asset prices', error);
+    }
+}
+
+// Get USD prices for BTC, ETH, XAU and XAG (see loadAssetPrices)
+async function getAssetPrices() {
+    const { prices } = await loadAssetPrices();
+    return prices;
+}
+
+// Extend USD-based rates with prices for any crypto or precious-metal codes
+// among `codes`. Returns { rates, assetPrices, cache } where assetPrices
+// lists only the prices used and cache is their cache metadata (both null
+// when there were none). Only today's asset prices are known, so assets
+// cannot be combined with historical rates (`asOf` before today).
+async function withAssetRates(rates, codes, { asOf } = {}) {
+    const usedAssets = [...new Set(codes.filter(isAsset))];
+    if (usedAssets.length === 0) {
+        return { rates, assetPrices: null, cache: null };
+    }
+    if (isHistorical(asOf)) {
+        throw new ApiError('INVALID_PARAMETER', `${usedAssets.join(', ')} cannot be valued as of ${asOf}: only current asset prices are available`, {
+            field: 'asOf',
+            assets: usedAssets
+        });
+    }
+
+    const { prices: allPrices, cache: meta } = await loadCachedAssetPrices();
+    const assetPrices = {};
+    usedAssets.filter(code => allPrices.assets[code]).forEach(code => {
+        assetPrices[code] = allPrices.assets[code];
+    });
+
+    return { rates: mergeAssetRates(rates, allPrices), assetPrices, cache: assetPricesMeta(meta, assetPrices) };
+}
+
+function countriesTimeout() {
+    return parseInt(process.env.COUNTRIES_TIMEOUT, 10) || DEFAULT_COUNTRIES_TIMEOUT;
+}
+
+// Add `borders` to raw restcountries records that lack them. Records are
+// returned unchanged if the borders request fails.
+async function addCountryBorders(rawCountries, timeout = countriesTimeout()) {
+    if (rawCountries.some(country => Array.isArray(country.borders))) {
+        return rawCountries;
+    }
+
+    try {
+        const response = await axios.get(COUNTRY_BORDERS_ENDPOINT, {
+            timeout: timeout,
+            headers: {
+                'User-Agent': 'WealthRanker/1.0'
+            }
+        });
+        const borders = new Map(response.data.map(country => [country.cca3, country.borders || []]));
+        recordUpstream('country-borders', 'restcountries', 'success');
+
+        return rawCountries.map(country => (borders.has(country.cca3)
+            ? { ...country, borders: borders.get(country.cca3) }
+            : country));
+    } catch (err) {
+        recordUpstream('country-borders', 'restcountries', 'failure');
+        logger.warn('Borders endpoint failed', { error: err.message });
+        return rawCountries;
+    }
+}
+
+// Load the bundled snapshot, normalised once per process
+function loadCountriesSnapshot() {
+    if (!countriesSnapshot) {
+        const snapshot = require(COUNTRIES_SNAPSHOT_FILE);
+        countriesSnapshot = {
+            countries: normalizeCountries(snapshot.countries),
+            generatedAt: snapshot.generatedAt
+        };
+    }
+
+    return countriesSnapshot;
+}
+
+// Facts are seeded by date, so lists cached across midnight (UTC) get
+// today's facts before they are served
+function withCurrentFacts(countries) {
+    const today = factDate();
+    if (factsDates.get(countries) !== today) {
+        refreshInterestingFacts(countries, today);
+        factsDates.set(countries, today);
+    }
+    return countries;
+}
+
+// Fetch the raw restcountries records (v3.1 or v2 layout) with their land
+// borders, trying each endpoint in turn: { endpoint, countries }
+async function fetchRawCountries(timeout = countriesTimeout()) {
+    let response;
+    let source;
+    for (const endpoint of COUNTRY_ENDPOINTS) {
+        try {
+            logger.debug('Trying countries endpoint', { endpoint: endpoint });
+            response = await axios.get(endpoint, {
+                timeout: timeout,
+                headers: {
+                    'User-Agent': 'WealthRanker/1.0'
+                }
+            });
+            // A 200 with an error page or an empty list counts as a failure
+            if (Array.isArray(response.data) && response.data.length > 0) {
+                recordUpstream('countries', 'restcountries', 'success');
+                logger.info('Fetched countries', { endpoint: endpoint, count: response.data.length });
+                source = endpoint;
+                break;
+            }
+            recordUpstream('countries', 'restcountries', 'failure');
+            logger.warn('Countries endpoint returned no countries', { endpoint: endpoint });
+        } catch (err) {
+            recordUpstream('countries', 'restcountries', 'failure');
+            logger.warn('Countries endpoint failed', { endpoint: endpoint, error: err.message });
+            continue;
+        }
+    }
+
+    if (!response || !Array.isArray(response.data) || response.data.length === 0) {
+        throw new Error('All API endpoints failed');
+    }
+
+    return { endpoint: source, countries: await addCountryBorders(response.data, timeout) };
+}
+
+// Fetch and normalise the live country list
+async function fetchCountries() {
+    logger.info('Fetching countries data');
+
+    const { countries } = await fetchRawCountries();
+    const processedCountries = normalizeCountries(countries);
+    if (processedCountries.length === 0) {
+        throw new Error('No usable countries in the response');
+    }
+    factsDates.set(processedCountries, factDate());
+
+    logger.debug('Processed countries', { count: processedCountries.length });
+    return processedCountries;
+}
+
+// Get the normalised country list with where it came from:
+// { countries, source: 'live' | 'cache' | 'snapshot', snapshotDate, cache }.
+// 'cache' means stale cached data (being refreshed, or upstream is down);
+// `cache` is the cache metadata. When nothing is cached and every endpoint
+// fails, the bundled snapshot is served and the endpoints are retried at
+// most every SNAPSHOT_RETRY_INTERVAL.
+async function loadCountries() {
+    const options = { ttl: CACHE_TTLS.countries };
+    let result = null;
+    let failure = null;
+
+    try {
+        result = Date.now() < countriesRetryAt
+            ? await getCache().peek('countries', options)
+            : await getCache().load('countries', fetchCountries, options);
+    } catch (error) {
+        failure = error;
+        countriesRetryAt = Date.now() + SNAPSHOT_RETRY_INTERVAL;
+    }
+
+    if (result) {
+        const { value, meta } = splitCacheResult(result);
+        if (meta.source !== 'upstream') {
+            logger.debug('Using cached countries data', meta);
+        }
+        return {
+            countries: withCurrentFacts(value),
+            source: meta.stale ? 'cache' : 'live',
+            snapshotDate: null,
+            cache: meta
+        };
+    }
+
+    const snapshot = loadCountriesSnapshot();
+    if (snapshot.countries.length > 0) {
+        // Warn when the live endpoints have just failed, not on every request
+        // served from the snapshot until they are retried
+        logger[failure ? 'warn' : 'debug']('Serving bundled countries snapshot', { snapshotDate: snapshot.generatedAt });
+        return {
+            countries: withCurrentFacts(snapshot.countries),
+            source: 'snapshot',
+            snapshotDate: snapshot.generatedAt,
+            cache: { fetchedAt: snapshot.generatedAt, stale: true, source: 'snapshot' }
+        };
+    }
+
+    throw upstreamError('Country data', failure);
+}
+
+// Get the normalised country list (see loadCountries)
+async function getCountries() {
+    const { countries } = await loadCountries();
+    return countries;
+}
+
+module.exports = {
+    CACHE_TTLS,
+    setCacheStore,
+    loadExchangeRates,
+    getExchangeRates,
+    loadExchangeRatesAsOf,
+    getExchangeRatesAsOf,
+    loadAssetPrices,
+    getAssetPrices,
+    withAssetRates,
+    loadCountries,
+    getCountries,
+    fetchRawCountries,
+    addCountryBorders,
+    COUNTRY_FIELDS,
+    COUNTRY_ENDPOINTS,
+    COUNTRY_BORDERS_ENDPOINT,
+    COUNTRIES_SNAPSHOT_FILE
+};
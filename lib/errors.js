@@ -0,0 +1,81 @@
+// Typed API errors. Every error response, from the api/ handlers and from
+// server.js, has the body { error, code, details? }: `error` is a readable
+// message, `code` one of ERROR_CODES and `details` optional extra context.
+
+const { logger } = require('./logger');
+
+const ERROR_CODES = {
+    INVALID_REQUEST: 400,
+    INVALID_AMOUNT: 400,
+    UNKNOWN_CURRENCY: 400,
+    INVALID_HOLDINGS: 400,
+    INVALID_TIERS: 400,
+    INVALID_DATE: 400,
+    INVALID_PARAMETER: 400,
+    UNAUTHORIZED: 401,
+    NOT_FOUND: 404,
+    COUNTRY_NOT_FOUND: 404,
+    SNAPSHOT_NOT_FOUND: 404,
+    METHOD_NOT_ALLOWED: 405,
+    PAYLOAD_TOO_LARGE: 413,
+    RATE_LIMITED: 429,
+    INTERNAL_ERROR: 500,
+    UPSTREAM_UNAVAILABLE: 503
+};
+
+class ApiError extends Error {
+    constructor(code, message, details) {
+        super(message);
+        this.name = 'ApiError';
+        this.code = ERROR_CODES[code] ? code : 'INTERNAL_ERROR';
+        this.status = ERROR_CODES[this.code];
+        this.details = details || null;
+    }
+}
+
+// Wrap a failure of an external data source (rates, countries, prices). The
+// cause can name internal hosts and ports, so it is logged and kept on
+// `error.cause` rather than sent to the client.
+function upstreamError(what, cause) {
+    logger.warn('Upstream data unavailable', { data: what, reason: cause ? cause.message : null });
+    const error = new ApiError('UPSTREAM_UNAVAILABLE', `${what} are temporarily unavailable`);
+    error.cause = cause || null;
+    return error;
+}
+
+// Status and body for any thrown value; unexpected errors become
+// INTERNAL_ERROR without leaking their message
+function toErrorResponse(error) {
+    const apiError = error instanceof ApiError
+        ? error
+        : new ApiError('INTERNAL_ERROR', 'Something went wrong on our side');
+
+    const body = { error: apiError.message, code: apiError.code };
+    if (apiError.details) {
+        body.details = apiError.details;
+    }
+
+    return { status: apiError.status, body };
+}
+
+function sendError(res, error) {
+    const { status, body } = toErrorResponse(error);
+    if (status >= 500) {
+        // Unexpected errors keep their stack; the client only sees INTERNAL_ERROR
+        logger.error('Request failed', {
+            code: body.code,
+            error: error instanceof Error ? error.message : String(error),
+            details: body.details,
+            stack: error instanceof ApiError ? undefined : error && error.stack
+        });
+    }
+    return res.status(status).json(body);
+}
+
+module.exports = {
+    ERROR_CODES,
+    ApiError,
+    upstreamError,
+    toErrorResponse,
+    sendError
+};
@@ -0,0 +1,54 @@
+// Downloadable forms of a ranking: CSV rows for spreadsheets and a file name
+// that says what was ranked.
+
+// One row per returned country, in response order. `ppp*` columns are empty
+// unless PPP mode was on.
+const CSV_COLUMNS = [
+    ['rank', (country, index, ranking) => ranking.pagination.offset + index + 1],
+    ['name', country => country.name],
+    ['cca2', country => country.cca2],
+    ['cca3', country => country.cca3],
+    ['region', country => country.region],
+    ['subregion', country => country.subregion],
+    ['population', country => country.population],
+    ['capital', country => country.capital],
+    ['tier', country => country.tier],
+    ['tierName', country => country.tierName],
+    ['tierMultiple', country => country.tierMultiple],
+    ['currency', country => country.bestCurrency],
+    ['wealthInLocalCurrency', country => country.wealthInLocalCurrency],
+    ['tierMarginUSD', country => country.tierMarginUSD],
+    ['topPercent', country => country.relative && country.relative.topPercent],
+    ['pppTier', country => country.ppp && country.ppp.tier],
+    ['pppWealth', country => country.ppp && country.ppp.wealth],
+    ['pppYear', country => country.ppp && country.ppp.year]
+];
+
+// Quote a value when it contains a delimiter, quote or line break
+function csvValue(value) {
+    if (value === null || value === undefined) return '';
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// The countries of a /api/calculate-ranking body as CSV (RFC 4180, CRLF)
+function rankingToCsv(ranking) {
+    const lines = [CSV_COLUMNS.map(([name]) => name).join(',')];
+    ranking.countries.forEach((country, index) => {
+        lines.push(CSV_COLUMNS.map(([, get]) => csvValue(get(country, index, ranking))).join(','));
+    });
+    return lines.join('\r\n') + '\r\n';
+}
+
+// e.g. wealth-ranking-1000000-USD.csv
+function exportFileName(ranking, extension) {
+    const amount = Number(ranking.originalWealth.toFixed(2));
+    return `wealth-ranking-${amount}-${ranking.originalCurrency}.${extension}`;
+}
+
+module.exports = {
+    CSV_COLUMNS,
+    csvValue,
+    rankingToCsv,
+    exportFileName
+};
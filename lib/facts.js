@@ -0,0 +1,55 @@
+// Curated country facts from the bundled dataset in data/facts.json, keyed
+// by ISO alpha-3 code. Edit that file to add or correct facts.
+
+const defaultDataset = require('../data/facts.json');
+
+// Today's date (UTC) as YYYY-MM-DD, the default seed for selectFact
+function factDate(date = new Date()) {
+    return date.toISOString().slice(0, 10);
+}
+
+// 32-bit FNV-1a hash, so the same seed picks the same fact everywhere
+function hashSeed(seed) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < seed.length; i++) {
+        hash ^= seed.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+// Every curated fact for an ISO alpha-3 code (empty when there are none)
+function getFacts(countryCode, dataset = defaultDataset) {
+    const facts = countryCode && dataset.facts[String(countryCode).toUpperCase()];
+    return Array.isArray(facts) ? facts : [];
+}
+
+// Pick one curated fact for a country, seeded by country and date so every
+// instance shows the same fact all day. Returns { fact, index, count } or
+// null when the country has no curated facts.
+function selectFact(countryCode, date = factDate(), dataset = defaultDataset) {
+    const facts = getFacts(countryCode, dataset);
+    if (facts.length === 0) return null;
+
+    const index = hashSeed(`${String(countryCode).toUpperCase()}:${date}`) % facts.length;
+    return { fact: facts[index], index: index, count: facts.length };
+}
+
+// Version metadata included in facts responses
+function getFactsDatasetInfo(dataset = defaultDataset) {
+    const lists = Object.values(dataset.facts);
+
+    return {
+        version: dataset.version,
+        countryCount: lists.length,
+        factCount: lists.reduce((total, facts) => total + facts.length, 0)
+    };
+}
+
+module.exports = {
+    FACTS_DATASET: defaultDataset,
+    factDate,
+    getFacts,
+    selectFact,
+    getFactsDatasetInfo
+};
@@ -0,0 +1,63 @@
+// Readiness for /api/health: whether exchange rates and countries can be
+// served, and how old and where from the data is. Loading goes through the
+// shared cache, so a health check only reaches upstream when the data has
+// expired.
+
+const { loadExchangeRates, loadCountries } = require('./data');
+const { logger } = require('./logger');
+
+// { ready, fetchedAt, ageSeconds, stale, source } for one dataset, or
+// { ready: false, error } when it cannot be loaded. `error` is only the
+// error code; the cause is logged, not published.
+async function checkDataset(name, load) {
+    try {
+        const meta = await load();
+        const fetchedAt = meta.fetchedAt ? Date.parse(meta.fetchedAt) : NaN;
+        return {
+            ready: true,
+            fetchedAt: meta.fetchedAt || null,
+            ageSeconds: isNaN(fetchedAt) ? null : Math.max(0, Math.round((Date.now() - fetchedAt) / 1000)),
+            stale: meta.stale,
+            source: meta.source
+        };
+    } catch (error) {
+        logger.warn('Health check failed', {
+            dataset: name,
+            error: error.message,
+            reason: error.cause ? error.cause.message : undefined
+        });
+        return { ready: false, error: error.code || 'INTERNAL_ERROR' };
+    }
+}
+
+// The /api/health body. `status` is 'ok', 'degraded' (serving stale cached
+// data or the bundled countries snapshot) or 'unavailable' (a dataset
+// cannot be loaded at all; `ready` is false).
+async function checkHealth() {
+    const [rates, countries] = await Promise.all([
+        checkDataset('rates', async () => (await loadExchangeRates()).cache),
+        checkDataset('countries', async () => (await loadCountries()).cache)
+    ]);
+    const checks = { rates, countries };
+    const datasets = Object.values(checks);
+
+    const ready = datasets.every(check => check.ready);
+    const stale = datasets.some(check => check.stale);
+    const status = !ready ? 'unavailable' : stale ? 'degraded' : 'ok';
+
+    return {
+        status: status,
+        ready: ready,
+        message: {
+            ok: 'Wealth Ranker API is running',
+            degraded: 'Wealth Ranker API is running on stale data',
+            unavailable: 'Wealth Ranker API cannot load its data'
+        }[status],
+        uptime: Math.round(process.uptime()),
+        checks: checks
+    };
+}
+
+module.exports = {
+    checkHealth
+};
@@ -0,0 +1,59 @@
+// Programmatic API for the wealth ranker. See "Using the library" in the README.
+
+const countries = require('./countries');
+const data = require('./data');
+const ranking = require('./ranking');
+const tiers = require('./tiers');
+const ppp = require('./ppp');
+const wealthStats = require('./wealth-stats');
+const rateProviders = require('./rate-providers');
+const portfolio = require('./portfolio');
+const assetPrices = require('./asset-prices');
+const errors = require('./errors');
+const validation = require('./validation');
+const rankingQuery = require('./ranking-query');
+const requiredWealth = require('./required-wealth');
+const countryDetail = require('./country-detail');
+const facts = require('./facts');
+const rankingRequest = require('./ranking-request');
+const countryRequest = require('./country-request');
+const exporting = require('./export');
+const shareImage = require('./share-image');
+const cache = require('./cache');
+const rateStream = require('./rate-stream');
+const redis = require('./redis');
+const rateLimit = require('./rate-limit');
+const security = require('./security');
+const logging = require('./logger');
+const metrics = require('./metrics');
+const health = require('./health');
+
+module.exports = {
+    ...countries,
+    ...data,
+    ...ranking,
+    ...tiers,
+    ...ppp,
+    ...wealthStats,
+    ...rateProviders,
+    ...portfolio,
+    ...assetPrices,
+    ...errors,
+    ...validation,
+    ...rankingQuery,
+    ...requiredWealth,
+    ...countryDetail,
+    ...facts,
+    ...rankingRequest,
+    ...countryRequest,
+    ...exporting,
+    ...shareImage,
+    ...cache,
+    ...rateStream,
+    ...redis,
+    ...rateLimit,
+    ...security,
+    ...logging,
+    ...metrics,
+    ...health
+};
@@ -0,0 +1,72 @@
+// Structured logs: one JSON object per line with the time, level, message
+// and any extra fields, e.g.
+// {"time":"…","level":"warn","msg":"Rate provider failed","provider":"ecb","requestId":"…"}
+// LOG_LEVEL (debug, info, warn, error; default info) hides quieter lines.
+// Lines logged while a request is handled carry its requestId, wherever in
+// lib/ they come from.
+
+const { AsyncLocalStorage } = require('async_hooks');
+const crypto = require('crypto');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+const requestContext = new AsyncLocalStorage();
+
+// info and debug go to stdout, warn and error to stderr
+function defaultWriter(line, level) {
+    (LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout).write(`${line}\n`);
+}
+
+let writer = defaultWriter;
+
+// Send log lines to `fn(line, level)` instead, e.g. to silence or collect
+// them; no argument restores the default
+function setLogWriter(fn = defaultWriter) {
+    writer = fn;
+}
+
+function minimumLevel() {
+    return LEVELS[(process.env.LOG_LEVEL || '').trim().toLowerCase()] || LEVELS.info;
+}
+
+function log(level, msg, fields = {}) {
+    if (LEVELS[level] < minimumLevel()) {
+        return;
+    }
+
+    const context = requestContext.getStore();
+    const entry = {
+        time: new Date().toISOString(),
+        level: level,
+        msg: msg,
+        ...(context ? { requestId: context.requestId } : {}),
+        ...fields
+    };
+    writer(JSON.stringify(entry), level);
+}
+
+const logger = {
+    debug: (msg, fields) => log('debug', msg, fields),
+    info: (msg, fields) => log('info', msg, fields),
+    warn: (msg, fields) => log('warn', msg, fields),
+    error: (msg, fields) => log('error', msg, fields)
+};
+
+// The caller's X-Request-Id when it looks like one, otherwise a new id
+function requestIdFor(req) {
+    const header = req.headers['x-request-id'];
+    return typeof header === 'string' && /^[\w.:-]{1,128}$/.test(header) ? header : crypto.randomUUID();
+}
+
+// Run `fn` with `context` ({ requestId }) attached to every line it logs
+function withRequestContext(context, fn) {
+    return requestContext.run(context, fn);
+}
+
+module.exports = {
+    LOG_LEVELS: LEVELS,
+    logger,
+    setLogWriter,
+    requestIdFor,
+    withRequestContext
+};
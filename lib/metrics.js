@@ -0,0 +1,185 @@
+// In-process metrics in the Prometheus text format, served by /api/metrics.
+// Counts are per process: each server instance (or warm serverless
+// instance) reports its own, and Prometheus adds them up.
+
+const LATENCY_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+function escapeLabel(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatLabels(labels) {
+    const names = Object.keys(labels);
+    return names.length > 0
+        ? `{${names.map(name => `${name}="${escapeLabel(labels[name])}"`).join(',')}}`
+        : '';
+}
+
+// Series are kept by their label values in labelNames order
+function seriesKey(labelNames, labels) {
+    return JSON.stringify(labelNames.map(name => String(labels[name] === undefined ? '' : labels[name])));
+}
+
+function labelsFromKey(labelNames, key) {
+    const values = JSON.parse(key);
+    const labels = {};
+    labelNames.forEach((name, i) => {
+        labels[name] = values[i];
+    });
+    return labels;
+}
+
+// A set of metrics rendered together. counter(), gauge() and histogram()
+// define a metric and return it; gauges take a `collect` function returning
+// [{ labels, value }] when rendered.
+function createRegistry() {
+    const metrics = [];
+
+    function counter(name, help, labelNames = []) {
+        const series = new Map();
+        const metric = {
+            name: name,
+            help: help,
+            type: 'counter',
+            inc: (labels = {}, amount = 1) => {
+                const key = seriesKey(labelNames, labels);
+                series.set(key, (series.get(key) || 0) + amount);
+            },
+            get: (labels = {}) => series.get(seriesKey(labelNames, labels)) || 0,
+            samples: () => [...series].map(([key, value]) => ({ labels: labelsFromKey(labelNames, key), value })),
+            reset: () => series.clear(),
+            // A counter without labels reads 0 before its first increment
+            render: () => (labelNames.length === 0 && series.size === 0
+                ? [`${name} 0`]
+                : metric.samples().map(({ labels, value }) => `${name}${formatLabels(labels)} ${value}`))
+        };
+        metrics.push(metric);
+        return metric;
+    }
+
+    function gauge(name, help, collect) {
+        const metric = {
+            name: name,
+            help: help,
+            type: 'gauge',
+            reset: () => {},
+            render: () => collect().map(({ labels = {}, value }) => `${name}${formatLabels(labels)} ${value}`)
+        };
+        metrics.push(metric);
+        return metric;
+    }
+
+    function histogram(name, help, labelNames = [], buckets = LATENCY_BUCKETS) {
+        const series = new Map();
+        const metric = {
+            name: name,
+            help: help,
+            type: 'histogram',
+            observe: (labels, value) => {
+                const key = seriesKey(labelNames, labels);
+                if (!series.has(key)) {
+                    series.set(key, { counts: buckets.map(() => 0), sum: 0, count: 0 });
+                }
+                const item = series.get(key);
+                buckets.forEach((bound, i) => {
+                    if (value <= bound) item.counts[i]++;
+                });
+                item.sum += value;
+                item.count++;
+            },
+            reset: () => series.clear(),
+            render: () => [...series].flatMap(([key, item]) => {
+                const labels = labelsFromKey(labelNames, key);
+                return [
+                    ...buckets.map((bound, i) => `${name}_bucket${formatLabels({ ...labels, le: bound })} ${item.counts[i]}`),
+                    `${name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${item.count}`,
+                    `${name}_sum${formatLabels(labels)} ${item.sum}`,
+                    `${name}_count${formatLabels(labels)} ${item.count}`
+                ];
+            })
+        };
+        metrics.push(metric);
+        return metric;
+    }
+
+    function render() {
+        return metrics.map(metric => [
+            `# HELP ${metric.name} ${metric.help}`,
+            `# TYPE ${metric.name} ${metric.type}`,
+            ...metric.render()
+        ].join('\n')).join('\n') + '\n';
+    }
+
+    function reset() {
+        metrics.forEach(metric => metric.reset());
+    }
+
+    return { counter, gauge, histogram, render, reset };
+}
+
+const registry = createRegistry();
+
+const httpRequests = registry.counter('wealth_ranker_http_requests_total',
+    'API requests by route, method and status', ['route', 'method', 'status']);
+const httpDuration = registry.histogram('wealth_ranker_http_request_duration_seconds',
+    'API request latency in seconds', ['route', 'method']);
+const cacheLookups = registry.counter('wealth_ranker_cache_lookups_total',
+    'Cache loads by key and result (hit, stale, miss)', ['key', 'result']);
+registry.gauge('wealth_ranker_cache_hit_ratio',
+    'Share of cache loads served from the cache (hit or stale), by key', () => {
+        const totals = {};
+        cacheLookups.samples().forEach(({ labels, value }) => {
+            const item = totals[labels.key] || (totals[labels.key] = { served: 0, all: 0 });
+            item.all += value;
+            if (labels.result !== 'miss') item.served += value;
+        });
+        return Object.keys(totals).map(key => ({ labels: { key }, value: totals[key].served / totals[key].all }));
+    });
+const upstreamRequests = registry.counter('wealth_ranker_upstream_requests_total',
+    'Upstream provider calls by dataset, provider and outcome (success, failure)', ['dataset', 'provider', 'outcome']);
+const rankings = registry.counter('wealth_ranker_rankings_total', 'Rankings computed');
+const skippedCountries = registry.counter('wealth_ranker_skipped_countries_total',
+    'Countries left out of rankings, by reason (no-currency, no-rate)', ['reason']);
+registry.gauge('wealth_ranker_process_uptime_seconds', 'Seconds since the process started',
+    () => [{ value: Math.round(process.uptime()) }]);
+registry.gauge('wealth_ranker_process_resident_memory_bytes', 'Resident memory of the process',
+    () => [{ value: process.memoryUsage().rss }]);
+
+function recordRequest(route, method, status, seconds) {
+    httpRequests.inc({ route, method, status });
+    httpDuration.observe({ route, method }, seconds);
+}
+
+// `result` is 'hit' (fresh), 'stale' or 'miss' (fetched upstream)
+function recordCacheLookup(key, result) {
+    cacheLookups.inc({ key, result });
+}
+
+function recordUpstream(dataset, provider, outcome) {
+    upstreamRequests.inc({ dataset, provider, outcome });
+}
+
+// `skipped` is a ranking's skipped list ([{ reason, ... }])
+function recordRanking(skipped) {
+    rankings.inc();
+    skipped.forEach(country => skippedCountries.inc({ reason: country.reason }));
+}
+
+function renderMetrics() {
+    return registry.render();
+}
+
+function resetMetrics() {
+    registry.reset();
+}
+
+module.exports = {
+    METRICS_CONTENT_TYPE: 'text/plain; version=0.0.4; charset=utf-8',
+    createRegistry,
+    recordRequest,
+    recordCacheLookup,
+    recordUpstream,
+    recordRanking,
+    renderMetrics,
+    resetMetrics
+};
@@ -0,0 +1,60 @@
+// Portfolio net worth: a list of holdings in different currencies and
+// categories, with optional liabilities, summarised in one currency.
+
+const { convertCurrency } = require('./ranking');
+
+// Holdings look like { amount, currency, category?, label?, liability? }.
+// Returns the net worth in `currency` and USD with a per-holding and
+// per-category breakdown. Liabilities count negatively.
+function summarizePortfolio(holdings, currency, rates) {
+    let totalAssets = 0;
+    let totalLiabilities = 0;
+    const categories = new Map();
+
+    const breakdown = holdings.map(holding => {
+        const category = holding.category || 'other';
+        const liability = Boolean(holding.liability);
+        const value = convertCurrency(holding.amount, holding.currency, currency, rates);
+        const signedValue = liability ? -value : value;
+
+        if (liability) {
+            totalLiabilities += value;
+        } else {
+            totalAssets += value;
+        }
+        categories.set(category, (categories.get(category) || 0) + signedValue);
+
+        return {
+            label: holding.label || '',
+            category: category,
+            liability: liability,
+            amount: holding.amount,
+            currency: holding.currency,
+            value: signedValue,
+            valueInUSD: convertCurrency(signedValue, currency, 'USD', rates)
+        };
+    });
+
+    const netWorth = totalAssets - totalLiabilities;
+
+    return {
+        currency: currency,
+        netWorth: netWorth,
+        netWorthInUSD: convertCurrency(netWorth, currency, 'USD', rates),
+        totalAssets: totalAssets,
+        totalLiabilities: totalLiabilities,
+        holdings: breakdown,
+        categories: [...categories.entries()]
+            .map(([category, value]) => ({
+                category: category,
+                value: value,
+                valueInUSD: convertCurrency(value, currency, 'USD', rates),
+                share: totalAssets > 0 ? value / totalAssets : 0
+            }))
+            .sort((a, b) => b.value - a.value)
+    };
+}
+
+module.exports = {
+    summarizePortfolio
+};
@@ -0,0 +1,41 @@
+// Purchasing-power-parity (PPP) conversion factors from the bundled dataset
+// in data/ppp.json (local currency units per international dollar).
+
+const defaultDataset = require('../data/ppp.json');
+
+// Look up the factor for an ISO alpha-3 code. Uses the latest year at or
+// before `year` (or the latest year overall). Returns { factor, year } or null.
+function getPPPFactor(countryCode, year, dataset = defaultDataset) {
+    const byYear = countryCode && dataset.factors[countryCode];
+    if (!byYear) return null;
+
+    const years = Object.keys(byYear)
+        .map(Number)
+        .filter(y => !year || y <= year)
+        .sort((a, b) => b - a);
+
+    if (years.length === 0) return null;
+
+    return { factor: byYear[years[0]], year: years[0] };
+}
+
+// Version metadata included in PPP ranking responses
+function getPPPDatasetInfo(dataset = defaultDataset) {
+    const years = new Set();
+    Object.values(dataset.factors).forEach(byYear => {
+        Object.keys(byYear).forEach(y => years.add(Number(y)));
+    });
+
+    return {
+        version: dataset.version,
+        source: dataset.source,
+        years: [...years].sort((a, b) => a - b),
+        countryCount: Object.keys(dataset.factors).length
+    };
+}
+
+module.exports = {
+    PPP_DATASET: defaultDataset,
+    getPPPFactor,
+    getPPPDatasetInfo
+};
@@ -0,0 +1,93 @@
+// Filtering, sorting and pagination for ranking results. Country filters
+// run before ranking so tier counts describe the filtered set; the tier
+// filter, sort and page run afterwards on the qualifying countries.
+
+const SORT_KEYS = ['tier', 'margin', 'percentile', 'population', 'name', 'local'];
+const DEFAULT_LIMIT = 250;
+
+const lower = value => String(value || '').toLowerCase();
+
+// Keep countries matching every given filter (case-insensitive)
+function filterCountries(countries, { region, subregion, language, minPopulation } = {}) {
+    return countries.filter(country => {
+        if (region && lower(country.region) !== lower(region)) return false;
+        if (subregion && lower(country.subregion) !== lower(subregion)) return false;
+        if (language && !(country.languages || []).some(l => lower(l) === lower(language))) return false;
+        if (minPopulation && !(country.population >= minPopulation)) return false;
+        return true;
+    });
+}
+
+// Sort value of a result for each key. Names sort A-Z by default,
+// everything else largest first.
+function sortValue(sort, basis, tiers) {
+    const view = country => (basis === 'ppp' ? country.ppp || {} : country);
+
+    switch (sort) {
+        case 'margin':
+            return country => (basis === 'ppp' ? view(country).tierMargin : country.tierMarginUSD);
+        case 'percentile':
+            return country => (country.relative ? country.relative.percentile : null);
+        case 'population':
+            return country => country.population;
+        case 'name':
+            return country => country.name;
+        case 'local':
+            return country => (basis === 'ppp' ? view(country).wealth : country.wealthInLocalCurrency);
+        case 'tier':
+        default:
+            return country => tiers.findIndex(tier => tier.id === view(country).tier);
+    }
+}
+
+// Comparator for one key and direction; countries missing a value go last
+function compareBy(sort, order, basis, tiers) {
+    const getValue = sortValue(sort, basis, tiers);
+    const direction = (order || (sort === 'name' ? 'asc' : 'desc')) === 'asc' ? 1 : -1;
+
+    return (a, b) => {
+        const valueA = getValue(a);
+        const valueB = getValue(b);
+        if (valueA === null || valueA === undefined) return valueB === null || valueB === undefined ? 0 : 1;
+        if (valueB === null || valueB === undefined) return -1;
+        const diff = typeof valueA === 'string' ? valueA.localeCompare(valueB) : valueA - valueB;
+        return direction * diff;
+    };
+}
+
+// Apply the post-ranking part of a query to the ranked results. Returns the
+// page of countries and the pagination block.
+function queryResults(results, {
+    basis = 'nominal',
+    tier = null,
+    sort = 'tier',
+    order = null,
+    limit = DEFAULT_LIMIT,
+    offset = 0
+} = {}, tiers) {
+    const tierOf = country => (basis === 'ppp' ? country.ppp && country.ppp.tier : country.tier);
+
+    const matching = results.filter(country => tierOf(country) && (!tier || tierOf(country) === tier));
+    const compare = compareBy(sort, order, basis, tiers);
+    // Within a tier, the country furthest above its threshold comes first
+    const tieBreak = compareBy('margin', null, basis, tiers);
+    matching.sort((a, b) => compare(a, b) || (sort === 'tier' ? tieBreak(a, b) : 0));
+
+    const page = matching.slice(offset, offset + limit);
+
+    return {
+        countries: page,
+        pagination: {
+            total: matching.length,
+            offset: offset,
+            limit: limit,
+            returned: page.length
+        }
+    };
+}
+
+module.exports = {
+    SORT_KEYS,
+    filterCountries,
+    queryResults
+};
@@ -0,0 +1,85 @@
+// Run a validated ranking request end to end: rates (live or historical),
+// countries, asset prices, portfolio summary and the ranking itself. Shared
+// by /api/calculate-ranking and /api/share-image.
+
+const { loadExchangeRatesAsOf, withAssetRates, loadCountries } = require('./data');
+const { ApiError } = require('./errors');
+const { logger } = require('./logger');
+const { recordRanking } = require('./metrics');
+const { summarizePortfolio } = require('./portfolio');
+const { buildRanking } = require('./ranking');
+const { resolveTiers } = require('./tiers');
+const { assertKnownCurrencies } = require('./validation');
+
+// `request` is the output of validateRankingRequest. Returns
+// { ranking, cache }: the /api/calculate-ranking response body and the
+// cache metadata of the data it used (for setCacheHeaders).
+async function runRankingRequest(request) {
+    // Portfolio mode: holdings replace the single wealth figure and
+    // `currency` is the currency the net worth is reported in
+    const { holdings, currency, ppp, pppYear, asOf, query } = request;
+    let wealth = request.wealth;
+
+    // Custom tier set from the request, WEALTH_TIERS or the defaults
+    const tiers = request.tiers || resolveTiers();
+
+    logger.debug('Calculating ranking', holdings
+        ? { holdings: holdings.length, currency: currency }
+        : { wealth: wealth, currency: currency });
+
+    // Get exchange rates and countries data in-process (shared caches)
+    const [{ exchangeRates, cache: ratesCache }, { countries, source, snapshotDate, cache: countriesCache }] = await Promise.all([
+        loadExchangeRatesAsOf(asOf),
+        loadCountries()
+    ]);
+
+    // Optional historical ranking against stored rate snapshots
+    if (!exchangeRates) {
+        throw new ApiError('SNAPSHOT_NOT_FOUND', `No exchange rate snapshot on or before ${asOf}`, { date: asOf });
+    }
+
+    // Crypto and precious-metal inputs are priced separately and added to
+    // the rates; only the prices actually used are reported back
+    const inputCodes = holdings ? [currency, ...holdings.map(h => h.currency)] : [currency];
+    const { rates, assetPrices, cache: assetPricesCache } = await withAssetRates(exchangeRates.rates, inputCodes, { asOf });
+
+    assertKnownCurrencies(inputCodes, rates);
+
+    let portfolio = null;
+    if (holdings) {
+        portfolio = summarizePortfolio(holdings, currency, rates);
+        wealth = portfolio.netWorth;
+    }
+
+    const ranking = buildRanking({
+        wealth,
+        currency,
+        rates,
+        countries,
+        tiers,
+        ppp: ppp ? { year: pppYear } : null,
+        query
+    });
+
+    recordRanking(ranking.skipped);
+    logger.debug('Ranking calculated', {
+        countries: ranking.totalCountries,
+        skipped: ranking.skippedCountries
+    });
+
+    return {
+        ranking: {
+            ...ranking,
+            portfolio,
+            ratesDate: exchangeRates.date || null,
+            assetPrices,
+            countriesSource: source,
+            countriesSnapshotDate: snapshotDate
+        },
+        cache: { rates: ratesCache, countries: countriesCache, assetPrices: assetPricesCache }
+    };
+}
+
+module.exports = {
+    runRankingRequest
+};
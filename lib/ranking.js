@@ -0,0 +1,228 @@
+// Pure wealth ranking functions. Nothing in here does I/O, so the same
+// code backs the Express server, the Vercel functions and Node scripts.
+
+const { DEFAULT_TIERS, classifyTier } = require('./tiers');
+const { PPP_DATASET, getPPPFactor, getPPPDatasetInfo } = require('./ppp');
+const {
+    WEALTH_STATS_DATASET,
+    getWealthStats,
+    describeRelativeWealth,
+    getWealthStatsInfo
+} = require('./wealth-stats');
+const { filterCountries, queryResults } = require('./ranking-query');
+
+// Convert an amount between two currencies using USD-based rates
+// (rates[code] = units of `code` per 1 USD)
+function convertCurrency(amount, from, to, rates) {
+    if (from === to) return amount;
+    return amount / rates[from] * rates[to];
+}
+
+// Tier fields for an amount, all null when no tier is reached
+function describeTier(amount, tiers) {
+    const tier = classifyTier(amount, tiers);
+
+    return {
+        tier: tier ? tier.id : null,
+        tierName: tier ? tier.name : null,
+        tierBadge: tier ? tier.badge : null,
+        tierMultiple: tier ? amount / tier.threshold : null
+    };
+}
+
+// How far an amount is above the threshold of the tier it reached
+function tierMargin(amount, tierId, tiers) {
+    const tier = tiers.find(t => t.id === tierId);
+    return tier ? amount - tier.threshold : null;
+}
+
+// Count countries per tier, highest tier first
+function countTiers(tiers, results, getTier) {
+    return tiers
+        .map(tier => ({
+            ...tier,
+            count: results.filter(c => getTier(c) === tier.id).length
+        }))
+        .reverse();
+}
+
+// Currencies of a normalised country, falling back to the single primary
+// currency for records built without a `currencies` list
+function countryCurrencies(country) {
+    if (Array.isArray(country.currencies)) {
+        return country.currencies;
+    }
+
+    return country.currency
+        ? [{ code: country.currency, name: country.currencyName, symbol: country.currencySymbol }]
+        : [];
+}
+
+// Evaluate an amount in every currency of every country. Returns the
+// countries where the user reaches at least the lowest tier, plus the ones
+// that were skipped with the reason: 'no-currency' (the country has none) or
+// 'no-rate' (none of its currencies has an exchange rate).
+//
+// Each result lists the figures for every currency in `currencyResults`.
+// The top-level tier fields and `wealthInLocalCurrency` are those of
+// `bestCurrency`, the currency giving the highest tier; `currency` stays the
+// country's primary currency.
+//
+// With `ppp` set ({ dataset?, year? }) each result also carries a `ppp`
+// object with the purchasing-power-adjusted wealth in international
+// dollars and its tier, and countries qualify on either figure. PPP is
+// computed from the primary currency, which is what the factors refer to.
+//
+// Every result carries a `relative` object (years of median income, wealth
+// percentile) when `wealthStats` has figures for the country.
+function rankCountries(wealth, currency, rates, countries, {
+    tiers = DEFAULT_TIERS,
+    ppp = null,
+    wealthStats = WEALTH_STATS_DATASET
+} = {}) {
+    const results = [];
+    const skipped = [];
+    const wealthInUSD = convertCurrency(wealth, currency, 'USD', rates);
+    const tierRank = tierId => tiers.findIndex(tier => tier.id === tierId);
+
+    countries.forEach(country => {
+        const currencies = countryCurrencies(country);
+
+        if (currencies.length === 0) {
+            skipped.push({ name: country.name, cca3: country.cca3, reason: 'no-currency', currencies: [] });
+            return;
+        }
+
+        // Convert wealth to each of the country's currencies that has a rate
+        const currencyResults = currencies
+            .filter(c => rates[c.code])
+            .map(c => {
+                const amount = convertCurrency(wealth, currency, c.code, rates);
+                return {
+                    code: c.code,
+                    name: c.name,
+                    symbol: c.symbol,
+                    primary: c.code === country.currency,
+                    wealthInLocalCurrency: amount,
+                    ...describeTier(amount, tiers)
+                };
+            });
+
+        if (currencyResults.length === 0) {
+            skipped.push({
+                name: country.name,
+                cca3: country.cca3,
+                reason: 'no-rate',
+                currencies: currencies.map(c => c.code)
+            });
+            return;
+        }
+
+        // Best currency: highest tier, then furthest above its threshold
+        const best = currencyResults.reduce((a, b) => {
+            const rankA = tierRank(a.tier);
+            const rankB = tierRank(b.tier);
+            if (rankA !== rankB) return rankB > rankA ? b : a;
+            return (b.tierMultiple || 0) > (a.tierMultiple || 0) ? b : a;
+        });
+        currencyResults.forEach(c => {
+            c.best = c === best;
+        });
+
+        let pppResult;
+        if (ppp) {
+            const primary = currencyResults.find(c => c.primary);
+            const factor = primary && getPPPFactor(country.cca3, ppp.year, ppp.dataset || PPP_DATASET);
+            if (factor) {
+                const wealthPPP = primary.wealthInLocalCurrency / factor.factor;
+                const pppTier = describeTier(wealthPPP, tiers);
+                pppResult = {
+                    factor: factor.factor,
+                    year: factor.year,
+                    wealth: wealthPPP,
+                    ...pppTier,
+                    tierMargin: tierMargin(wealthPPP, pppTier.tier, tiers)
+                };
+            } else {
+                pppResult = null;
+            }
+        }
+
+        // Only include countries where user reaches at least one tier
+        if (best.tier || (pppResult && pppResult.tier)) {
+            const margin = tierMargin(best.wealthInLocalCurrency, best.tier, tiers);
+            results.push({
+                ...country,
+                tier: best.tier,
+                tierName: best.tierName,
+                tierBadge: best.tierBadge,
+                tierMultiple: best.tierMultiple,
+                tierMarginUSD: margin === null ? null : convertCurrency(margin, best.code, 'USD', rates),
+                bestCurrency: best.code,
+                wealthInLocalCurrency: best.wealthInLocalCurrency,
+                currencyResults: currencyResults,
+                relative: describeRelativeWealth(wealthInUSD, getWealthStats(country.cca3, wealthStats)),
+                ...(ppp ? { ppp: pppResult } : {})
+            });
+        }
+    });
+
+    // In input order; queryResults() sorts them (local amounts in different
+    // currencies do not compare)
+    return { results, skipped };
+}
+
+// Build the /api/calculate-ranking response body. `query` filters the
+// countries (region, subregion, language, minPopulation) before ranking and
+// picks the tier, sort order and page of the returned countries afterwards
+// (see ranking-query.js); tier counts cover every filtered country.
+function buildRanking({
+    wealth,
+    currency,
+    rates,
+    countries,
+    tiers = DEFAULT_TIERS,
+    ppp = null,
+    wealthStats = WEALTH_STATS_DATASET,
+    query = {}
+}) {
+    // Convert wealth to USD first (base currency)
+    const wealthInUSD = convertCurrency(wealth, currency, 'USD', rates);
+    const filtered = filterCountries(countries, query);
+    const { results, skipped } = rankCountries(wealth, currency, rates, filtered, { tiers, ppp, wealthStats });
+    const basis = ppp && query.basis === 'ppp' ? 'ppp' : 'nominal';
+    const page = queryResults(results, { ...query, basis }, tiers);
+    const nominalResults = results.filter(c => c.tier);
+
+    const ranking = {
+        originalWealth: wealth,
+        originalCurrency: currency,
+        wealthInUSD: wealthInUSD,
+        totalCountries: nominalResults.length,
+        tiers: countTiers(tiers, nominalResults, c => c.tier),
+        relativeStats: getWealthStatsInfo(wealthStats),
+        countries: page.countries,
+        pagination: page.pagination,
+        basis: basis,
+        skippedCountries: skipped.length,
+        skipped: skipped
+    };
+
+    if (ppp) {
+        const pppResults = results.filter(c => c.ppp && c.ppp.tier);
+        ranking.ppp = {
+            ...getPPPDatasetInfo(ppp.dataset || PPP_DATASET),
+            year: ppp.year || null,
+            totalCountries: pppResults.length,
+            tiers: countTiers(tiers, pppResults, c => c.ppp.tier)
+        };
+    }
+
+    return ranking;
+}
+
+module.exports = {
+    convertCurrency,
+    rankCountries,
+    buildRanking
+};
@@ -0,0 +1,203 @@
+// Minimal RGB raster with a 5x7 bitmap font and a PNG encoder, enough to
+// draw the share image without native image libraries or network fonts.
+
+const zlib = require('zlib');
+
+// Rows of each glyph, top to bottom; bit 4 is the leftmost pixel. Text is
+// drawn upper case and unknown characters fall back to '?'.
+const GLYPHS = {
+    'A': [0x0E, 0x11, 0x11, 0x1F, 0x11, 0x11, 0x11],
+    'B': [0x1E, 0x11, 0x11, 0x1E, 0x11, 0x11, 0x1E],
+    'C': [0x0E, 0x11, 0x10, 0x10, 0x10, 0x11, 0x0E],
+    'D': [0x1C, 0x12, 0x11, 0x11, 0x11, 0x12, 0x1C],
+    'E': [0x1F, 0x10, 0x10, 0x1E, 0x10, 0x10, 0x1F],
+    'F': [0x1F, 0x10, 0x10, 0x1E, 0x10, 0x10, 0x10],
+    'G': [0x0E, 0x11, 0x10, 0x17, 0x11, 0x11, 0x0F],
+    'H': [0x11, 0x11, 0x11, 0x1F, 0x11, 0x11, 0x11],
+    'I': [0x0E, 0x04, 0x04, 0x04, 0x04, 0x04, 0x0E],
+    'J': [0x07, 0x02, 0x02, 0x02, 0x02, 0x12, 0x0C],
+    'K': [0x11, 0x12, 0x14, 0x18, 0x14, 0x12, 0x11],
+    'L': [0x10, 0x10, 0x10, 0x10, 0x10, 0x10, 0x1F],
+    'M': [0x11, 0x1B, 0x15, 0x15, 0x11, 0x11, 0x11],
+    'N': [0x11, 0x11, 0x19, 0x15, 0x13, 0x11, 0x11],
+    'O': [0x0E, 0x11, 0x11, 0x11, 0x11, 0x11, 0x0E],
+    'P': [0x1E, 0x11, 0x11, 0x1E, 0x10, 0x10, 0x10],
+    'Q': [0x0E, 0x11, 0x11, 0x11, 0x15, 0x12, 0x0D],
+    'R': [0x1E, 0x11, 0x11, 0x1E, 0x14, 0x12, 0x11],
+    'S': [0x0F, 0x10, 0x10, 0x0E, 0x01, 0x01, 0x1E],
+    'T': [0x1F, 0x04, 0x04, 0x04, 0x04, 0x04, 0x04],
+    'U': [0x11, 0x11, 0x11, 0x11, 0x11, 0x11, 0x0E],
+    'V': [0x11, 0x11, 0x11, 0x11, 0x11, 0x0A, 0x04],
+    'W': [0x11, 0x11, 0x11, 0x15, 0x15, 0x15, 0x0A],
+    'X': [0x11, 0x11, 0x0A, 0x04, 0x0A, 0x11, 0x11],
+    'Y': [0x11, 0x11, 0x11, 0x0A, 0x04, 0x04, 0x04],
+    'Z': [0x1F, 0x01, 0x02, 0x04, 0x08, 0x10, 0x1F],
+    '0': [0x0E, 0x11, 0x13, 0x15, 0x19, 0x11, 0x0E],
+    '1': [0x04, 0x0C, 0x04, 0x04, 0x04, 0x04, 0x0E],
+    '2': [0x0E, 0x11, 0x01, 0x02, 0x04, 0x08, 0x1F],
+    '3': [0x1F, 0x02, 0x04, 0x02, 0x01, 0x11, 0x0E],
+    '4': [0x02, 0x06, 0x0A, 0x12, 0x1F, 0x02, 0x02],
+    '5': [0x1F, 0x10, 0x1E, 0x01, 0x01, 0x11, 0x0E],
+    '6': [0x06, 0x08, 0x10, 0x1E, 0x11, 0x11, 0x0E],
+    '7': [0x1F, 0x01, 0x02, 0x04, 0x08, 0x08, 0x08],
+    '8': [0x0E, 0x11, 0x11, 0x0E, 0x11, 0x11, 0x0E],
+    '9': [0x0E, 0x11, 0x11, 0x0F, 0x01, 0x02, 0x0C],
+    ' ': [0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00],
+    '.': [0x00, 0x00, 0x00, 0x00, 0x00, 0x0C, 0x0C],
+    ',': [0x00, 0x00, 0x00, 0x00, 0x0C, 0x04, 0x08],
+    '!': [0x04, 0x04, 0x04, 0x04, 0x04, 0x00, 0x04],
+    '?': [0x0E, 0x11, 0x01, 0x02, 0x04, 0x00, 0x04],
+    '\'': [0x0C, 0x04, 0x08, 0x00, 0x00, 0x00, 0x00],
+    '%': [0x18, 0x19, 0x02, 0x04, 0x08, 0x13, 0x03],
+    '$': [0x04, 0x0F, 0x14, 0x0E, 0x05, 0x1E, 0x04],
+    '#': [0x0A, 0x0A, 0x1F, 0x0A, 0x1F, 0x0A, 0x0A],
+    '&': [0x0C, 0x12, 0x14, 0x08, 0x15, 0x12, 0x0D],
+    '-': [0x00, 0x00, 0x00, 0x1F, 0x00, 0x00, 0x00],
+    '+': [0x00, 0x04, 0x04, 0x1F, 0x04, 0x04, 0x00],
+    '(': [0x02, 0x04, 0x08, 0x08, 0x08, 0x04, 0x02],
+    ')': [0x08, 0x04, 0x02, 0x02, 0x02, 0x04, 0x08],
+    '/': [0x00, 0x01, 0x02, 0x04, 0x08, 0x10, 0x00],
+    ':': [0x00, 0x0C, 0x0C, 0x00, 0x0C, 0x0C, 0x00],
+    '·': [0x00, 0x00, 0x00, 0x0C, 0x0C, 0x00, 0x00],
+    '×': [0x00, 0x11, 0x0A, 0x04, 0x0A, 0x11, 0x00]
+};
+
+const GLYPH_WIDTH = 5;
+const GLYPH_HEIGHT = 7;
+
+// A blank canvas; `pixels` holds RGB bytes row by row
+function createCanvas(width, height) {
+    return { width, height, pixels: Buffer.alloc(width * height * 3) };
+}
+
+// '#rrggbb' -> [r, g, b]
+function parseColor(hex) {
+    const value = parseInt(hex.slice(1), 16);
+    return [(value >> 16) & 0xFF, (value >> 8) & 0xFF, value & 0xFF];
+}
+
+function setPixel(canvas, x, y, [r, g, b]) {
+    if (x < 0 || y < 0 || x >= canvas.width || y >= canvas.height) return;
+    const offset = (y * canvas.width + x) * 3;
+    canvas.pixels[offset] = r;
+    canvas.pixels[offset + 1] = g;
+    canvas.pixels[offset + 2] = b;
+}
+
+// Diagonal gradient from the top-left to the bottom-right corner
+function fillGradient(canvas, from, to) {
+    const start = parseColor(from);
+    const end = parseColor(to);
+    const span = canvas.width + canvas.height - 2 || 1;
+
+    for (let y = 0; y < canvas.height; y++) {
+        for (let x = 0; x < canvas.width; x++) {
+            const t = (x + y) / span;
+            setPixel(canvas, x, y, start.map((c, i) => Math.round(c + (end[i] - c) * t)));
+        }
+    }
+}
+
+function fillRect(canvas, x, y, width, height, color) {
+    const rgb = parseColor(color);
+    for (let row = y; row < y + height; row++) {
+        for (let col = x; col < x + width; col++) {
+            setPixel(canvas, col, row, rgb);
+        }
+    }
+}
+
+// Width in pixels of `text` at `scale` (one blank column between glyphs)
+function textWidth(text, scale) {
+    return text.length === 0 ? 0 : (text.length * (GLYPH_WIDTH + 1) - 1) * scale;
+}
+
+// Draw `text` with its top-left corner at (x, y), each font pixel a
+// `scale` x `scale` square
+function drawText(canvas, text, x, y, scale, color) {
+    const rgb = parseColor(color);
+    [...text.toUpperCase()].forEach((char, index) => {
+        const glyph = GLYPHS[char] || GLYPHS['?'];
+        const left = x + index * (GLYPH_WIDTH + 1) * scale;
+        glyph.forEach((bits, row) => {
+            for (let col = 0; col < GLYPH_WIDTH; col++) {
+                if (bits & (1 << (GLYPH_WIDTH - 1 - col))) {
+                    for (let dy = 0; dy < scale; dy++) {
+                        for (let dx = 0; dx < scale; dx++) {
+                            setPixel(canvas, left + col * scale + dx, y + row * scale + dy, rgb);
+                        }
+                    }
+                }
+            }
+        });
+    });
+}
+
+// Draw `text` centred horizontally, shrinking the scale until it fits
+// within `maxWidth`. Returns the scale used.
+function drawCenteredText(canvas, text, y, scale, color, maxWidth = canvas.width) {
+    let fitted = scale;
+    while (fitted > 1 && textWidth(text, fitted) > maxWidth) {
+        fitted--;
+    }
+    drawText(canvas, text, Math.round((canvas.width - textWidth(text, fitted)) / 2), y, fitted, color);
+    return fitted;
+}
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+    }
+    return c >>> 0;
+});
+
+function crc32(buffer) {
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < buffer.length; i++) {
+        crc = CRC_TABLE[(crc ^ buffer[i]) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+function pngChunk(type, data) {
+    const length = Buffer.alloc(4);
+    length.writeUInt32BE(data.length);
+    const body = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+    const crc = Buffer.alloc(4);
+    crc.writeUInt32BE(crc32(body));
+    return Buffer.concat([length, body, crc]);
+}
+
+// Encode a canvas as an 8-bit RGB PNG
+function encodePng(canvas) {
+    const header = Buffer.alloc(13);
+    header.writeUInt32BE(canvas.width, 0);
+    header.writeUInt32BE(canvas.height, 4);
+    header[8] = 8; // bit depth
+    header[9] = 2; // colour type: RGB
+
+    // Each scanline starts with filter type 0 (none)
+    const rowLength = canvas.width * 3;
+    const raw = Buffer.alloc((rowLength + 1) * canvas.height);
+    for (let y = 0; y < canvas.height; y++) {
+        canvas.pixels.copy(raw, y * (rowLength + 1) + 1, y * rowLength, (y + 1) * rowLength);
+    }
+
+    return Buffer.concat([
+        Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]),
+        pngChunk('IHDR', header),
+        pngChunk('IDAT', zlib.deflateSync(raw)),
+        pngChunk('IEND', Buffer.alloc(0))
+    ]);
+}
+
+module.exports = {
+    createCanvas,
+    fillGradient,
+    fillRect,
+    textWidth,
+    drawText,
+    drawCenteredText,
+    encodePng
+};
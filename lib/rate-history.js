@@ -0,0 +1,87 @@
+// Local store of exchange-rate snapshots, one per day, kept in a JSON file.
+// Set RATE_HISTORY_FILE to move it (e.g. to /tmp on read-only hosts).
+
+const fs = require('fs').promises;
+const path = require('path');
+
+const DEFAULT_HISTORY_FILE = path.join(__dirname, '..', 'data', 'rates-history.json');
+
+// Writes are chained so concurrent fetches never interleave
+let writeQueue = Promise.resolve();
+
+function getHistoryFile() {
+    return process.env.RATE_HISTORY_FILE || DEFAULT_HISTORY_FILE;
+}
+
+// True for a real calendar date written as YYYY-MM-DD
+function isISODate(value) {
+    if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+        return false;
+    }
+    const date = new Date(`${value}T00:00:00Z`);
+    return !isNaN(date) && date.toISOString().slice(0, 10) === value;
+}
+
+async function readHistory(file = getHistoryFile()) {
+    try {
+        const content = await fs.readFile(file, 'utf8');
+        return JSON.parse(content);
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            return { snapshots: {} };
+        }
+        throw error;
+    }
+}
+
+// Store a USD-based rates payload under its own date (or today). A later
+// snapshot for the same day replaces the earlier one.
+function recordSnapshot(data, file = getHistoryFile()) {
+    const date = isISODate(data.date) ? data.date : new Date().toISOString().slice(0, 10);
+
+    writeQueue = writeQueue
+        .catch(() => {})
+        .then(async () => {
+            const history = await readHistory(file);
+            history.snapshots[date] = {
+                base: data.base || 'USD',
+                date: date,
+                rates: data.rates,
+                provider: data.provider || null,
+                fetchedAt: new Date().toISOString()
+            };
+            await fs.mkdir(path.dirname(file), { recursive: true });
+            await fs.writeFile(file, JSON.stringify(history));
+        });
+
+    return writeQueue;
+}
+
+// Latest snapshot on or before `date`, or null
+async function getSnapshot(date, file = getHistoryFile()) {
+    const history = await readHistory(file);
+    const match = Object.keys(history.snapshots)
+        .filter(d => d <= date)
+        .sort()
+        .pop();
+
+    return match ? history.snapshots[match] : null;
+}
+
+// Rate of one currency per USD for every stored day within [from, to]
+async function getCurrencyHistory(currency, { from, to } = {}, file = getHistoryFile()) {
+    const history = await readHistory(file);
+
+    return Object.keys(history.snapshots)
+        .filter(d => (!from || d >= from) && (!to || d <= to))
+        .sort()
+        .map(d => ({ date: d, rate: history.snapshots[d].rates[currency] }))
+        .filter(entry => entry.rate !== undefined);
+}
+
+module.exports = {
+    isISODate,
+    recordSnapshot,
+    getSnapshot,
+    getCurrencyHistory
+};
@@ -0,0 +1,155 @@
+// Fixed-window request counters for rate limits and API-key usage. Counts
+// are kept in this process ('memory') or in Redis ('redis', shared by every
+// instance and serverless invocation); RATE_LIMIT_STORE picks one and
+// defaults to redis when REDIS_URL is set.
+
+const { logger } = require('./logger');
+const { createRedisClient } = require('./redis');
+
+const KEY_PREFIX = 'wealth-ranker:';
+
+// Per-day usage counts are kept this long
+const USAGE_DAY_RETAIN = 31 * 86400000; // 31 days
+
+// Counter stores: increment(key, amount, ttl?) resolves to the new count
+// and get(key) to the current one. A key without a ttl never expires.
+function createMemoryCounter() {
+    const counts = new Map();
+
+    // Drop expired windows now and then so per-IP keys do not pile up
+    function sweep(now) {
+        if (counts.size < 10000) return;
+        counts.forEach((item, key) => {
+            if (item.expiresAt <= now) counts.delete(key);
+        });
+    }
+
+    return {
+        name: 'memory',
+        increment: async (key, amount, ttl) => {
+            const now = Date.now();
+            let item = counts.get(key);
+            if (!item || item.expiresAt <= now) {
+                sweep(now);
+                item = { count: 0, expiresAt: ttl ? now + ttl : Infinity };
+                counts.set(key, item);
+            }
+            item.count += amount;
+            return item.count;
+        },
+        get: async key => {
+            const item = counts.get(key);
+            return item && item.expiresAt > Date.now() ? item.count : 0;
+        }
+    };
+}
+
+function createRedisCounter(client = createRedisClient()) {
+    return {
+        name: 'redis',
+        client: client,
+        increment: async (key, amount, ttl) => {
+            const count = await client.incrBy(KEY_PREFIX + key, amount);
+            // The first increment of a window starts its expiry
+            if (ttl && count === amount) {
+                await client.pexpire(KEY_PREFIX + key, ttl);
+            }
+            return count;
+        },
+        get: async key => parseInt(await client.get(KEY_PREFIX + key), 10) || 0
+    };
+}
+
+// The counter store configured by RATE_LIMIT_STORE / REDIS_URL
+function createCounter(env = process.env) {
+    const name = (env.RATE_LIMIT_STORE || (env.REDIS_URL ? 'redis' : 'memory')).trim().toLowerCase();
+    if (name === 'memory') {
+        return createMemoryCounter();
+    }
+    if (name === 'redis') {
+        return createRedisCounter(createRedisClient(env.REDIS_URL, {
+            timeout: parseInt(env.REDIS_TIMEOUT, 10) || undefined
+        }));
+    }
+    throw new Error(`Unknown RATE_LIMIT_STORE ${name} (use memory, redis)`);
+}
+
+// Rate limiter over `counter` with windows of `windowMs`. A failing counter
+// store lets requests through rather than taking the API down with it.
+function createRateLimiter({ counter = createMemoryCounter(), windowMs = 60000 } = {}) {
+    function currentWindow() {
+        const index = Math.floor(Date.now() / windowMs);
+        return { index, resetAt: (index + 1) * windowMs };
+    }
+
+    function describe(count, limit, resetAt) {
+        return {
+            allowed: count <= limit,
+            limit: limit,
+            remaining: Math.max(0, limit - count),
+            resetAt: resetAt
+        };
+    }
+
+    // Spend `cost` of the current window's `limit` for client `id`.
+    // Returns { allowed, limit, remaining, resetAt } (resetAt in ms).
+    async function consume(id, cost, limit) {
+        const { index, resetAt } = currentWindow();
+        try {
+            const count = await counter.increment(`ratelimit:${id}:${index}`, cost, windowMs);
+            return describe(count, limit, resetAt);
+        } catch (error) {
+            logger.warn('Rate limit counter failed', { store: counter.name, error: error.message });
+            return describe(0, limit, resetAt);
+        }
+    }
+
+    // Like consume, without spending anything
+    async function status(id, limit) {
+        const { index, resetAt } = currentWindow();
+        try {
+            return describe(await counter.get(`ratelimit:${id}:${index}`), limit, resetAt);
+        } catch (error) {
+            logger.warn('Rate limit counter failed', { store: counter.name, error: error.message });
+            return describe(0, limit, resetAt);
+        }
+    }
+
+    // Count one request made with API key `name`, in total and per UTC day
+    async function recordUsage(name) {
+        const today = new Date().toISOString().slice(0, 10);
+        try {
+            await Promise.all([
+                counter.increment(`usage:${name}:total`, 1),
+                counter.increment(`usage:${name}:${today}`, 1, USAGE_DAY_RETAIN)
+            ]);
+        } catch (error) {
+            logger.warn('Usage counter failed', { store: counter.name, error: error.message });
+        }
+    }
+
+    // { total, today, date } request counts for API key `name`
+    async function getUsage(name) {
+        const today = new Date().toISOString().slice(0, 10);
+        const [total, todayCount] = await Promise.all([
+            counter.get(`usage:${name}:total`),
+            counter.get(`usage:${name}:${today}`)
+        ]);
+        return { total, today: todayCount, date: today };
+    }
+
+    return {
+        windowMs,
+        consume,
+        status,
+        recordUsage,
+        getUsage
+    };
+}
+
+module.exports = {
+    createMemoryCounter,
+    createRedisCounter,
+    createCounter,
+    createRateLimiter
+};
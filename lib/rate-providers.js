@@ -0,0 +1,184 @@
+// Exchange-rate providers. Each provider fetches rates in its own format and
+// returns them normalised to { base: 'USD', date, rates, provider }.
+// RATE_PROVIDERS sets the order they are tried in (comma separated). The
+// static `file` provider is not market data and only runs when listed there
+// (CI and offline demos).
+
+const axios = require('axios');
+const fs = require('fs').promises;
+const path = require('path');
+const { logger } = require('./logger');
+const { recordUpstream } = require('./metrics');
+
+const DEFAULT_PROVIDERS = 'exchangerate-api,ecb';
+const DEFAULT_TIMEOUT = 10000;
+
+const DEFAULT_URLS = {
+    'exchangerate-api': 'https://api.exchangerate-api.com/v4/latest/USD',
+    'ecb': 'https://www.ecb.europa.eu/stats/eurofxref/eurofxref-daily.xml',
+    'open-exchange-rates': 'https://openexchangerates.org/api/latest.json'
+};
+
+const DEFAULT_RATES_FILE = path.join(__dirname, '..', 'data', 'rates-fixture.json');
+
+// A reply with fewer usable rates than this is treated as a failure, so the
+// next provider is tried
+const MIN_RATES = 5;
+
+// Rates are units of a currency per unit of the base: positive and finite
+function isUsableRate(value) {
+    return typeof value === 'number' && Number.isFinite(value) && value > 0;
+}
+
+// Re-express rates against another base currency
+function rebaseRates(rates, base = 'USD') {
+    const divisor = rates[base];
+    if (!isUsableRate(divisor)) {
+        throw new Error(`Rates do not include base currency ${base}`);
+    }
+
+    const rebased = {};
+    Object.keys(rates).forEach(code => {
+        rebased[code] = rates[code] / divisor;
+    });
+    rebased[base] = 1;
+
+    return rebased;
+}
+
+function normalizeRates({ base, date, rates }, provider) {
+    if (!rates || typeof rates !== 'object' || Object.keys(rates).length === 0) {
+        throw new Error(`${provider} returned no rates`);
+    }
+
+    // Drop null, non-numeric, zero and negative entries rather than let them
+    // turn thresholds into NaN or Infinity
+    const fullRates = {};
+    const dropped = [];
+    Object.keys(rates).forEach(code => {
+        if (isUsableRate(rates[code])) {
+            fullRates[code] = rates[code];
+        } else {
+            dropped.push(code);
+        }
+    });
+    fullRates[base] = 1;
+
+    if (dropped.length > 0) {
+        logger.warn('Dropped unusable exchange rates', { provider, currencies: dropped });
+    }
+    if (base !== 'USD' && !isUsableRate(fullRates.USD)) {
+        throw new Error(`${provider} returned no usable USD rate`);
+    }
+    if (Object.keys(fullRates).length < MIN_RATES) {
+        throw new Error(`${provider} returned only ${Object.keys(fullRates).length} usable rates`);
+    }
+
+    return {
+        base: 'USD',
+        date: date || new Date().toISOString().slice(0, 10),
+        rates: base === 'USD' ? fullRates : rebaseRates(fullRates, 'USD'),
+        provider: provider
+    };
+}
+
+// Parse the ECB daily reference rates XML (EUR based)
+function parseEcbXml(xml) {
+    const dateMatch = /<Cube\s+time=['"](\d{4}-\d{2}-\d{2})['"]/.exec(xml);
+    const rates = {};
+    const ratePattern = /<Cube\s+currency=['"]([A-Z]{3})['"]\s+rate=['"]([\d.]+)['"]/g;
+
+    let match;
+    while ((match = ratePattern.exec(xml)) !== null) {
+        rates[match[1]] = parseFloat(match[2]);
+    }
+
+    return { base: 'EUR', date: dateMatch ? dateMatch[1] : null, rates };
+}
+
+const providers = {
+    // https://www.exchangerate-api.com/ v4 JSON: { base, date, rates }
+    'exchangerate-api': async ({ timeout, env }) => {
+        const response = await axios.get(env.EXCHANGE_RATE_API_URL || DEFAULT_URLS['exchangerate-api'], { timeout });
+        return normalizeRates(response.data, 'exchangerate-api');
+    },
+
+    // European Central Bank daily feed (XML, EUR based)
+    'ecb': async ({ timeout, env }) => {
+        const response = await axios.get(env.ECB_RATES_URL || DEFAULT_URLS.ecb, {
+            timeout,
+            responseType: 'text'
+        });
+        return normalizeRates(parseEcbXml(response.data), 'ecb');
+    },
+
+    // Open Exchange Rates style JSON: { timestamp, base, rates }
+    'open-exchange-rates': async ({ timeout, env }) => {
+        if (!env.OPEN_EXCHANGE_RATES_APP_ID && !env.OPEN_EXCHANGE_RATES_URL) {
+            throw new Error('OPEN_EXCHANGE_RATES_APP_ID is not set');
+        }
+
+        const response = await axios.get(env.OPEN_EXCHANGE_RATES_URL || DEFAULT_URLS['open-exchange-rates'], {
+            timeout,
+            params: env.OPEN_EXCHANGE_RATES_APP_ID ? { app_id: env.OPEN_EXCHANGE_RATES_APP_ID } : {}
+        });
+        const { base, timestamp, rates } = response.data;
+        const date = timestamp ? new Date(timestamp * 1000).toISOString().slice(0, 10) : null;
+
+        return normalizeRates({ base: base || 'USD', date, rates }, 'open-exchange-rates');
+    },
+
+    // Static local JSON file: { base, date, rates }
+    'file': async ({ env }) => {
+        const content = await fs.readFile(env.RATES_FILE || DEFAULT_RATES_FILE, 'utf8');
+        const data = JSON.parse(content);
+        return normalizeRates({ base: data.base || 'USD', date: data.date, rates: data.rates }, 'file');
+    }
+};
+
+// Ordered provider names from RATE_PROVIDERS, with per-provider timeouts
+// from <NAME>_TIMEOUT (e.g. ECB_TIMEOUT) or RATE_PROVIDER_TIMEOUT
+function getProviderChain(env = process.env) {
+    return (env.RATE_PROVIDERS || DEFAULT_PROVIDERS)
+        .split(',')
+        .map(name => name.trim())
+        .filter(Boolean)
+        .map(name => {
+            if (!providers[name]) {
+                throw new Error(`Unknown exchange rate provider: ${name}`);
+            }
+
+            const timeoutKey = `${name.toUpperCase().replace(/-/g, '_')}_TIMEOUT`;
+            const timeout = parseInt(env[timeoutKey] || env.RATE_PROVIDER_TIMEOUT, 10) || DEFAULT_TIMEOUT;
+
+            return { name, timeout };
+        });
+}
+
+// Try each provider in order and return the first normalised result
+async function fetchRates(env = process.env) {
+    const errors = [];
+
+    for (const { name, timeout } of getProviderChain(env)) {
+        try {
+            logger.debug('Trying rate provider', { provider: name });
+            const result = await providers[name]({ timeout, env });
+            recordUpstream('exchange-rates', name, 'success');
+            logger.info('Fetched exchange rates', { provider: name, count: Object.keys(result.rates).length });
+            return result;
+        } catch (err) {
+            recordUpstream('exchange-rates', name, 'failure');
+            logger.warn('Rate provider failed', { provider: name, error: err.message });
+            errors.push(`${name}: ${err.message}`);
+        }
+    }
+
+    throw new Error(`All exchange rate providers failed (${errors.join('; ')})`);
+}
+
+module.exports = {
+    rebaseRates,
+    parseEcbXml,
+    getProviderChain,
+    fetchRates
+};
@@ -0,0 +1,187 @@
+// Server-Sent Events for /api/exchange-rates/stream. Each client gets the
+// current USD-based rates when it connects, then every new snapshot as soon
+// as this process's cache takes one in. While clients are connected the
+// rates are reloaded every RATE_STREAM_INTERVAL ms (default 60000), which
+// refreshes an expired cache entry and picks up entries refreshed by other
+// instances through the shared store. Streams stay open for as long as the
+// client likes, so each client (API key or address) may hold at most
+// RATE_STREAM_MAX_PER_CLIENT of them and the process RATE_STREAM_MAX.
+
+const { onCacheUpdate } = require('./cache');
+const { loadExchangeRates } = require('./data');
+const { ApiError } = require('./errors');
+const { logger } = require('./logger');
+
+const RATES_CACHE_KEY = 'exchange-rates';
+const DEFAULT_INTERVAL = 60000; // 1 minute
+const DEFAULT_MAX_PER_CLIENT = 5;
+const DEFAULT_MAX_STREAMS = 1000;
+
+// A comment line this often keeps proxies from closing an idle stream
+const KEEP_ALIVE_INTERVAL = 25000;
+
+// How long browsers wait before reconnecting a dropped stream, in ms
+const RECONNECT_DELAY = 10000;
+
+const clients = new Set();
+
+// Open streams per client key, counted from before the rates are loaded so
+// concurrent requests cannot slip past the limits
+const openByClient = new Map();
+let openCount = 0;
+
+// Timers and the cache listener, set while any client is connected
+let running = null;
+
+// Id of the newest snapshot sent, so each one goes out once
+let lastId = null;
+
+function streamInterval() {
+    return parseInt(process.env.RATE_STREAM_INTERVAL, 10) || DEFAULT_INTERVAL;
+}
+
+// A stream limit from the environment; 0 turns it off
+function streamLimit(value, fallback) {
+    const parsed = parseInt(value, 10);
+    return Number.isInteger(parsed) && parsed >= 0 ? parsed : fallback;
+}
+
+// Count a new stream for `client`, or throw RATE_LIMITED when it or the
+// process already has as many as allowed. Returns the function that
+// releases it.
+function reserve(client) {
+    const perClient = streamLimit(process.env.RATE_STREAM_MAX_PER_CLIENT, DEFAULT_MAX_PER_CLIENT);
+    const max = streamLimit(process.env.RATE_STREAM_MAX, DEFAULT_MAX_STREAMS);
+    const open = openByClient.get(client) || 0;
+
+    if (perClient > 0 && open >= perClient) {
+        throw new ApiError('RATE_LIMITED', `Too many open rate streams for this client (at most ${perClient})`, {
+            limit: perClient,
+            scope: 'client'
+        });
+    }
+    if (max > 0 && openCount >= max) {
+        throw new ApiError('RATE_LIMITED', 'Too many open rate streams on this server; try again later', {
+            limit: max,
+            scope: 'server'
+        });
+    }
+
+    openByClient.set(client, open + 1);
+    openCount++;
+
+    return () => {
+        openCount--;
+        const left = openByClient.get(client) - 1;
+        if (left > 0) {
+            openByClient.set(client, left);
+        } else {
+            openByClient.delete(client);
+        }
+    };
+}
+
+// One `rates` event. The id is the snapshot's fetch time, so a reconnecting
+// browser's Last-Event-ID says which snapshot it already has.
+function ratesEvent(exchangeRates, fetchedAt) {
+    const payload = {
+        date: exchangeRates.date || null,
+        provider: exchangeRates.provider || null,
+        fetchedAt: fetchedAt,
+        rates: exchangeRates.rates
+    };
+    return { id: fetchedAt, text: `id: ${fetchedAt}\nevent: rates\ndata: ${JSON.stringify(payload)}\n\n` };
+}
+
+function broadcast(event) {
+    if (lastId && event.id <= lastId) {
+        return;
+    }
+    lastId = event.id;
+    logger.info('Streaming new exchange rates', { fetchedAt: event.id, clients: clients.size });
+    clients.forEach(res => res.write(event.text));
+}
+
+function start() {
+    const stopListening = onCacheUpdate((key, entry) => {
+        if (key === RATES_CACHE_KEY) {
+            broadcast(ratesEvent(entry.value, new Date(entry.fetchedAt).toISOString()));
+        }
+    });
+    const poll = setInterval(() => {
+        loadExchangeRates().catch(error => {
+            logger.debug('Rate stream reload failed', { error: error.message });
+        });
+    }, streamInterval());
+    const keepAlive = setInterval(() => {
+        clients.forEach(res => res.write(': keep-alive\n\n'));
+    }, KEEP_ALIVE_INTERVAL);
+    poll.unref();
+    keepAlive.unref();
+
+    running = { stopListening, poll, keepAlive };
+}
+
+function stop() {
+    running.stopListening();
+    clearInterval(running.poll);
+    clearInterval(running.keepAlive);
+    running = null;
+    lastId = null;
+}
+
+// Open the event stream on `res` and keep it until the client disconnects.
+// `client` identifies who the stream counts against (see reserve). Throws
+// (before anything is written) when the client or the process has too many
+// streams open, or no rates can be loaded at all.
+async function streamRates(req, res, client) {
+    const release = reserve(client);
+    let closed = false;
+
+    // Also fires after an error response, and when the client gives up
+    // while the rates load
+    res.on('close', () => {
+        closed = true;
+        release();
+        clients.delete(res);
+        if (clients.size === 0 && running) {
+            stop();
+        }
+    });
+
+    const { exchangeRates, cache } = await loadExchangeRates();
+    if (closed) {
+        return;
+    }
+    const current = ratesEvent(exchangeRates, cache.fetchedAt);
+
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream; charset=utf-8',
+        'Cache-Control': 'no-cache, no-transform',
+        'Connection': 'keep-alive',
+        // Stop nginx and similar proxies from buffering the stream
+        'X-Accel-Buffering': 'no'
+    });
+    res.write(`retry: ${RECONNECT_DELAY}\n\n`);
+    if (req.headers['last-event-id'] !== current.id) {
+        res.write(current.text);
+    }
+    if (!lastId || current.id > lastId) {
+        lastId = current.id;
+    }
+
+    clients.add(res);
+    if (!running) {
+        start();
+    }
+}
+
+// Number of connected stream clients
+function countStreamClients() {
+    return clients.size;
+}
+
+module.exports = {
+    streamRates,
+    countStreamClients
+};
@@ -0,0 +1,291 @@
+// Minimal Redis (RESP2) client for the shared cache and rate limits, plus an
+// in-process stand-in server that speaks enough of the protocol (PING, AUTH,
+// SELECT, GET, SET with EX/PX, DEL, INCRBY, PEXPIRE, FLUSHALL) to run them
+// without a real Redis.
+
+const net = require('net');
+
+const DEFAULT_URL = 'redis://127.0.0.1:6379';
+const DEFAULT_TIMEOUT = 2000;
+
+class RedisError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'RedisError';
+    }
+}
+
+// A command as a RESP array of bulk strings
+function encodeCommand(args) {
+    const parts = [`*${args.length}\r\n`];
+    args.forEach(arg => {
+        const value = String(arg);
+        parts.push(`$${Buffer.byteLength(value)}\r\n${value}\r\n`);
+    });
+    return Buffer.from(parts.join(''));
+}
+
+// Encode a reply from the stand-in server
+function encodeReply(value) {
+    if (value === null) return Buffer.from('$-1\r\n');
+    if (value instanceof RedisError) return Buffer.from(`-${value.message}\r\n`);
+    if (typeof value === 'number') return Buffer.from(`:${value}\r\n`);
+    if (value && value.status) return Buffer.from(`+${value.status}\r\n`);
+    return Buffer.from(`$${Buffer.byteLength(value)}\r\n${value}\r\n`);
+}
+
+// Parse one RESP value from `buffer` at `offset`. Returns { value, offset }
+// with the offset after it, or null when the buffer ends mid-value. Error
+// replies are returned as RedisError values.
+function parseReply(buffer, offset = 0) {
+    const lineEnd = buffer.indexOf('\r\n', offset);
+    if (lineEnd === -1) return null;
+
+    const type = String.fromCharCode(buffer[offset]);
+    const line = buffer.toString('utf8', offset + 1, lineEnd);
+    const next = lineEnd + 2;
+
+    switch (type) {
+        case '+':
+            return { value: line, offset: next };
+        case '-':
+            return { value: new RedisError(line), offset: next };
+        case ':':
+            return { value: parseInt(line, 10), offset: next };
+        case '$': {
+            const length = parseInt(line, 10);
+            if (length === -1) return { value: null, offset: next };
+            if (buffer.length < next + length + 2) return null;
+            return { value: buffer.toString('utf8', next, next + length), offset: next + length + 2 };
+        }
+        case '*': {
+            const count = parseInt(line, 10);
+            if (count === -1) return { value: null, offset: next };
+            const items = [];
+            let position = next;
+            for (let i = 0; i < count; i++) {
+                const item = parseReply(buffer, position);
+                if (!item) return null;
+                items.push(item.value);
+                position = item.offset;
+            }
+            return { value: items, offset: position };
+        }
+        default:
+            throw new RedisError(`Unexpected reply type ${JSON.stringify(type)}`);
+    }
+}
+
+// Client for redis://[:password@]host[:port][/db]. The connection opens on
+// the first command and reopens after an error; a command that takes longer
+// than `timeout` ms fails and drops the connection (replies arrive in order,
+// so a late one would answer the wrong command).
+function createRedisClient(url = DEFAULT_URL, { timeout = DEFAULT_TIMEOUT } = {}) {
+    const target = new URL(url);
+    const db = target.pathname.length > 1 ? target.pathname.slice(1) : null;
+    const password = target.password ? decodeURIComponent(target.password) : null;
+    const username = target.username ? decodeURIComponent(target.username) : null;
+
+    let socket = null;
+    let buffer = Buffer.alloc(0);
+    let pending = [];
+
+    function failPending(error) {
+        const failed = pending;
+        pending = [];
+        failed.forEach(request => {
+            clearTimeout(request.timer);
+            request.reject(error);
+        });
+    }
+
+    function connect() {
+        const connection = net.createConnection({ host: target.hostname, port: Number(target.port) || 6379 });
+        connection.unref();
+        socket = connection;
+        buffer = Buffer.alloc(0);
+
+        connection.on('data', chunk => {
+            buffer = Buffer.concat([buffer, chunk]);
+            let reply;
+            try {
+                while (pending.length > 0 && (reply = parseReply(buffer))) {
+                    buffer = buffer.subarray(reply.offset);
+                    const request = pending.shift();
+                    clearTimeout(request.timer);
+                    if (reply.value instanceof RedisError) {
+                        request.reject(reply.value);
+                    } else {
+                        request.resolve(reply.value);
+                    }
+                }
+            } catch (error) {
+                // Not RESP (e.g. REDIS_URL points at another service): fail
+                // what is waiting and reconnect on the next command
+                socket = null;
+                buffer = Buffer.alloc(0);
+                failPending(error);
+                connection.destroy();
+            }
+        });
+        // A connection given up on above must not fail its successor's commands
+        connection.on('error', error => {
+            if (socket === connection) {
+                failPending(error);
+            }
+        });
+        connection.on('close', () => {
+            if (socket === connection) {
+                socket = null;
+                failPending(new RedisError('Connection closed'));
+            }
+        });
+
+        if (password) {
+            send(username ? ['AUTH', username, password] : ['AUTH', password]).catch(() => {});
+        }
+        if (db) {
+            send(['SELECT', db]).catch(() => {});
+        }
+    }
+
+    function send(args) {
+        return new Promise((resolve, reject) => {
+            const request = { resolve, reject };
+            request.timer = setTimeout(() => {
+                if (socket) {
+                    socket.destroy(new RedisError(`${args[0]} timed out after ${timeout}ms`));
+                }
+            }, timeout);
+            request.timer.unref();
+            pending.push(request);
+            socket.write(encodeCommand(args));
+        });
+    }
+
+    function command(...args) {
+        if (!socket) {
+            connect();
+        }
+        return send(args);
+    }
+
+    return {
+        command,
+        get: key => command('GET', key),
+        set: (key, value, ttl) => (ttl ? command('SET', key, value, 'PX', Math.ceil(ttl)) : command('SET', key, value)),
+        del: key => command('DEL', key),
+        incrBy: (key, amount) => command('INCRBY', key, amount),
+        pexpire: (key, ttl) => command('PEXPIRE', key, Math.ceil(ttl)),
+        quit: async () => {
+            if (socket) {
+                await command('QUIT').catch(() => {});
+            }
+            if (socket) {
+                socket.destroy();
+            }
+        }
+    };
+}
+
+// In-process stand-in for a Redis server. Call listen() on the result, e.g.
+// createRedisServer().listen(6390), and point REDIS_URL at it.
+function createRedisServer() {
+    const data = new Map();
+
+    const read = key => {
+        const item = data.get(key);
+        if (item && item.expiresAt !== null && item.expiresAt <= Date.now()) {
+            data.delete(key);
+            return null;
+        }
+        return item ? item.value : null;
+    };
+
+    const commands = {
+        PING: () => ({ status: 'PONG' }),
+        AUTH: () => ({ status: 'OK' }),
+        SELECT: () => ({ status: 'OK' }),
+        QUIT: () => ({ status: 'OK' }),
+        FLUSHALL: () => {
+            data.clear();
+            return { status: 'OK' };
+        },
+        GET: ([key]) => read(key),
+        INCRBY: ([key, amount]) => {
+            const current = read(key);
+            const value = parseInt(current || '0', 10) + parseInt(amount, 10);
+            if (isNaN(value)) {
+                return new RedisError('ERR value is not an integer or out of range');
+            }
+            const item = data.get(key);
+            data.set(key, { value: String(value), expiresAt: item ? item.expiresAt : null });
+            return value;
+        },
+        PEXPIRE: ([key, ttl]) => {
+            if (read(key) === null) {
+                return 0;
+            }
+            data.get(key).expiresAt = Date.now() + parseInt(ttl, 10);
+            return 1;
+        },
+        DEL: keys => keys.filter(key => read(key) !== null && data.delete(key)).length,
+        SET: ([key, value, ...options]) => {
+            let expiresAt = null;
+            for (let i = 0; i < options.length; i += 2) {
+                const unit = String(options[i]).toUpperCase();
+                const amount = parseInt(options[i + 1], 10);
+                if ((unit !== 'EX' && unit !== 'PX') || !(amount > 0)) {
+                    return new RedisError('ERR syntax error');
+                }
+                expiresAt = Date.now() + (unit === 'EX' ? amount * 1000 : amount);
+            }
+            data.set(key, { value, expiresAt });
+            return { status: 'OK' };
+        }
+    };
+
+    const sockets = new Set();
+    const server = net.createServer(socket => {
+        let buffer = Buffer.alloc(0);
+        sockets.add(socket);
+        socket.on('close', () => sockets.delete(socket));
+        socket.on('error', () => {});
+        socket.on('data', chunk => {
+            buffer = Buffer.concat([buffer, chunk]);
+            let request;
+            try {
+                while ((request = parseReply(buffer))) {
+                    buffer = buffer.subarray(request.offset);
+                    const [name, ...args] = Array.isArray(request.value) ? request.value : [request.value];
+                    const handler = commands[String(name).toUpperCase()];
+                    socket.write(encodeReply(handler
+                        ? handler(args)
+                        : new RedisError(`ERR unknown command '${name}'`)));
+                    if (String(name).toUpperCase() === 'QUIT') {
+                        socket.end();
+                    }
+                }
+            } catch (error) {
+                socket.end(encodeReply(new RedisError(`ERR ${error.message}`)));
+            }
+        });
+    });
+
+    // close() also drops connected clients, so it does not wait for them
+    const close = server.close.bind(server);
+    server.close = callback => {
+        sockets.forEach(socket => socket.destroy());
+        return close(callback);
+    };
+
+    return server;
+}
+
+module.exports = {
+    RedisError,
+    encodeCommand,
+    parseReply,
+    createRedisClient,
+    createRedisServer
+};
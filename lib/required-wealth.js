@@ -0,0 +1,90 @@
+// Reverse ranking: how much wealth is needed to reach a tier in one
+// country, in the N cheapest countries, or in every country of a set.
+
+const { convertCurrency } = require('./ranking');
+const { findCountry } = require('./countries');
+
+// Cheapest way to reach `threshold` in a country: the threshold in each of
+// its currencies, converted to `currency`, lowest first. Null when none of
+// its currencies has a rate.
+function requiredInCountry(country, threshold, currency, rates) {
+    const currencies = (country.currencies || [])
+        .filter(c => rates[c.code])
+        .map(c => ({
+            code: c.code,
+            required: convertCurrency(threshold, c.code, currency, rates)
+        }))
+        .sort((a, b) => a.required - b.required);
+
+    return currencies.length > 0 ? currencies[0] : null;
+}
+
+// `target` is { country } for one country, { count } for the N cheapest
+// countries, or {} for every country in `countries` (filter them first for
+// "every country in Europe"). `wealth` (in `currency`) is optional and adds
+// the shortfall. Returns null for an unknown target country.
+function requiredWealth({ tier, currency, rates, countries, target = {}, wealth = null }) {
+    const scope = target.country ? [findCountry(countries, target.country)] : countries;
+    if (scope[0] === null) {
+        return null;
+    }
+
+    const entries = [];
+    const skipped = [];
+    scope.forEach(country => {
+        const cheapest = requiredInCountry(country, tier.threshold, currency, rates);
+        if (!cheapest) {
+            skipped.push({
+                name: country.name,
+                cca3: country.cca3,
+                reason: (country.currencies || []).length === 0 ? 'no-currency' : 'no-rate'
+            });
+            return;
+        }
+
+        entries.push({
+            name: country.name,
+            cca3: country.cca3,
+            flag: country.flag,
+            region: country.region,
+            currency: cheapest.code,
+            thresholdInLocalCurrency: tier.threshold,
+            required: cheapest.required,
+            reached: wealth !== null ? wealth >= cheapest.required : null
+        });
+    });
+
+    entries.sort((a, b) => a.required - b.required);
+
+    let selected = entries;
+    let type = 'all';
+    if (target.country) {
+        type = 'country';
+    } else if (target.count) {
+        type = 'count';
+        selected = entries.slice(0, target.count);
+    }
+
+    // Reaching the tier everywhere in the selection takes the largest amount
+    const required = selected.length > 0 && (type !== 'count' || selected.length === target.count)
+        ? selected[selected.length - 1].required
+        : null;
+
+    return {
+        tier: tier,
+        currency: currency,
+        target: { type, country: target.country || null, count: target.count || null, available: entries.length },
+        required: required,
+        requiredInUSD: required === null ? null : convertCurrency(required, currency, 'USD', rates),
+        wealth: wealth,
+        shortfall: required === null || wealth === null ? null : Math.max(0, required - wealth),
+        reached: required === null || wealth === null ? null : wealth >= required,
+        countries: selected,
+        skipped: skipped
+    };
+}
+
+module.exports = {
+    requiredInCountry,
+    requiredWealth
+};
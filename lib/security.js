@@ -0,0 +1,337 @@
+// Abuse protection for the API: security headers, CORS for the origins in
+// CORS_ORIGINS, a request body size limit, optional API keys with usage
+// counters and per-IP / per-key rate limits. Every api/ handler is wrapped
+// in protect(), so the same rules apply under server.js and as Vercel
+// functions. protect() also gives each request an id and logs and times it.
+
+const crypto = require('crypto');
+const { ApiError, sendError } = require('./errors');
+const { logger, requestIdFor, withRequestContext } = require('./logger');
+const { recordRequest } = require('./metrics');
+const { createCounter, createRateLimiter } = require('./rate-limit');
+
+const DEFAULT_WINDOW = 60000; // 1 minute
+const DEFAULT_IP_LIMIT = 120;
+const DEFAULT_KEY_LIMIT = 1200;
+const DEFAULT_BODY_LIMIT = 102400; // 100 KB
+
+// Sent with every API response
+const API_SECURITY_HEADERS = {
+    'X-Content-Type-Options': 'nosniff',
+    'X-Frame-Options': 'DENY',
+    'Referrer-Policy': 'no-referrer',
+    'Content-Security-Policy': 'default-src \'none\'; frame-ancestors \'none\''
+};
+
+// Sent with the frontend. Its scripts and styles are inline; flags are
+// loaded from the URLs restcountries gives (https).
+const PAGE_SECURITY_HEADERS = {
+    'X-Content-Type-Options': 'nosniff',
+    'X-Frame-Options': 'DENY',
+    'Referrer-Policy': 'strict-origin-when-cross-origin',
+    'Content-Security-Policy': [
+        'default-src \'self\'',
+        'script-src \'self\' \'unsafe-inline\'',
+        'style-src \'self\' \'unsafe-inline\'',
+        'img-src \'self\' https: data:',
+        'connect-src \'self\'',
+        'frame-ancestors \'none\'',
+        'base-uri \'self\'',
+        'form-action \'self\''
+    ].join('; ')
+};
+
+// Response headers cross-origin callers may read
+const EXPOSED_HEADERS = [
+    'RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset', 'Retry-After', 'Content-Disposition', 'X-Request-Id',
+    ...['X-Rates', 'X-Countries', 'X-Asset-Prices'].flatMap(prefix => [`${prefix}-Fetched-At`, `${prefix}-Stale`, `${prefix}-Source`])
+];
+
+function hashKey(key) {
+    return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+// A non-negative integer setting, or `fallback` when unset or invalid
+function intSetting(value, fallback) {
+    const parsed = parseInt(value, 10);
+    return Number.isInteger(parsed) && parsed >= 0 ? parsed : fallback;
+}
+
+// API_KEYS is a comma-separated list of name:key[:limit] entries, e.g.
+// "reports:3f9a…:5000,partner:77c1…". Keys are looked up by their SHA-256
+// hash; `limit` overrides RATE_LIMIT_KEY for that key.
+function parseApiKeys(value, defaultLimit = DEFAULT_KEY_LIMIT) {
+    const keys = new Map();
+    (value || '').split(',').map(entry => entry.trim()).filter(Boolean).forEach(entry => {
+        const [name, key, limit] = entry.split(':');
+        if (!name || !key) {
+            throw new Error(`API_KEYS entry "${name || entry}" must be name:key[:limit]`);
+        }
+        keys.set(hashKey(key), { name, limit: intSetting(limit, defaultLimit) });
+    });
+    return keys;
+}
+
+// Protection settings from the environment
+function getSecurityConfig(env = process.env) {
+    const keyLimit = intSetting(env.RATE_LIMIT_KEY, DEFAULT_KEY_LIMIT);
+
+    return {
+        corsOrigins: (env.CORS_ORIGINS || '').split(',').map(origin => origin.trim().replace(/\/$/, '')).filter(Boolean),
+        windowMs: intSetting(env.RATE_LIMIT_WINDOW, DEFAULT_WINDOW) || DEFAULT_WINDOW,
+        ipLimit: intSetting(env.RATE_LIMIT_IP, DEFAULT_IP_LIMIT),
+        keyLimit: keyLimit,
+        bodyLimit: intSetting(env.BODY_LIMIT, DEFAULT_BODY_LIMIT),
+        apiKeys: parseApiKeys(env.API_KEYS, keyLimit),
+        // Number of proxies in front of the server whose X-Forwarded-For
+        // entries are trusted ('true' means one)
+        trustProxy: env.TRUST_PROXY === 'true' ? 1 : intSetting(env.TRUST_PROXY, 0),
+        // Vercel's edge sets X-Real-IP to the address it saw, whatever the
+        // client sent
+        realIpHeader: env.VERCEL ? 'x-real-ip' : null
+    };
+}
+
+let protection = null;
+
+function getProtection() {
+    if (!protection) {
+        configureProtection();
+    }
+    return protection;
+}
+
+// (Re)build the settings and rate limiter, e.g. after changing the
+// environment. `counter` replaces the RATE_LIMIT_STORE one.
+function configureProtection(env = process.env, counter = createCounter(env)) {
+    const config = getSecurityConfig(env);
+    protection = { config, limiter: createRateLimiter({ counter, windowMs: config.windowMs }) };
+    return config;
+}
+
+function setHeaders(res, headers) {
+    Object.keys(headers).forEach(name => res.setHeader(name, headers[name]));
+}
+
+// Echo the Origin back when it is allowed ('*' in CORS_ORIGINS allows any).
+// Same-origin requests need none of this.
+function applyCors(req, res, config) {
+    const origin = req.headers.origin;
+    res.setHeader('Vary', 'Origin');
+    if (!origin || !(config.corsOrigins.includes('*') || config.corsOrigins.includes(origin))) {
+        return;
+    }
+    res.setHeader('Access-Control-Allow-Origin', origin);
+    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, X-API-Key, Authorization');
+    res.setHeader('Access-Control-Expose-Headers', EXPOSED_HEADERS.join(', '));
+    res.setHeader('Access-Control-Max-Age', '600');
+}
+
+// The address rate limits are counted against. Clients can send any
+// X-Forwarded-For they like and each proxy appends the address it got the
+// request from, so only the last `trustProxy` entries are trustworthy: the
+// client is the one `trustProxy` places from the end.
+function clientIp(req, config) {
+    const realIp = config.realIpHeader && req.headers[config.realIpHeader];
+    if (realIp) {
+        return String(realIp).trim();
+    }
+
+    const forwarded = req.headers['x-forwarded-for'];
+    if (config.trustProxy > 0 && forwarded) {
+        const hops = String(forwarded).split(',').map(hop => hop.trim()).filter(Boolean);
+        const client = hops[Math.max(0, hops.length - config.trustProxy)];
+        if (client) {
+            return client;
+        }
+    }
+    return (req.socket && req.socket.remoteAddress) || 'unknown';
+}
+
+// Who a request counts against: `key:<name>` for an API key, otherwise
+// `ip:<address>`
+function clientKey(req, config, key) {
+    return key ? `key:${key.name}` : `ip:${clientIp(req, config)}`;
+}
+
+// The client key of a request protect() has let through (see clientKey)
+function clientKeyFor(req) {
+    return clientKey(req, getProtection().config, req.apiKey ? { name: req.apiKey } : null);
+}
+
+// The key sent in X-API-Key or as "Authorization: Bearer <key>", or null
+function requestApiKey(req) {
+    const header = req.headers['x-api-key'];
+    if (header) {
+        return String(header).trim();
+    }
+    const match = /^Bearer\s+(\S+)$/i.exec(req.headers.authorization || '');
+    return match ? match[1] : null;
+}
+
+// The configured API key a request carries: { name, limit } or null when it
+// has none. An unknown key is rejected rather than treated as anonymous.
+function authenticate(req, config) {
+    const key = requestApiKey(req);
+    if (!key) {
+        return null;
+    }
+    const match = config.apiKeys.get(hashKey(key));
+    if (!match) {
+        throw new ApiError('UNAUTHORIZED', 'Unknown API key');
+    }
+    return match;
+}
+
+// Size in bytes of a body the platform has already read (Vercel reads and
+// parses it before the handler runs), or 0. A body that cannot be parsed is
+// left for the handler to report.
+function receivedBodySize(req) {
+    let body;
+    try {
+        body = req.body;
+    } catch (error) {
+        return 0;
+    }
+    if (body === undefined || body === null) {
+        return 0;
+    }
+    return Buffer.byteLength(typeof body === 'string' || Buffer.isBuffer(body) ? body : JSON.stringify(body));
+}
+
+// Content-Length is missing from chunked uploads, so the body actually
+// received is measured as well. server.js also gives express.json() the
+// same limit, which stops reading past it.
+function checkBodySize(req, config) {
+    const length = Math.max(parseInt(req.headers['content-length'], 10) || 0, receivedBodySize(req));
+    if (length > config.bodyLimit) {
+        throw new ApiError('PAYLOAD_TOO_LARGE', `Request body is larger than ${config.bodyLimit} bytes`, {
+            limit: config.bodyLimit
+        });
+    }
+}
+
+function setRateLimitHeaders(res, result) {
+    res.setHeader('RateLimit-Limit', String(result.limit));
+    res.setHeader('RateLimit-Remaining', String(result.remaining));
+    res.setHeader('RateLimit-Reset', String(Math.max(0, Math.ceil((result.resetAt - Date.now()) / 1000))));
+}
+
+// Answer a CORS preflight for any API route
+function preflight(req, res) {
+    setHeaders(res, API_SECURITY_HEADERS);
+    try {
+        applyCors(req, res, getProtection().config);
+    } catch (error) {
+        return sendError(res, error);
+    }
+    res.status(204).end();
+}
+
+// Log each finished request and add it to the latency metrics under `route`.
+// 'close' also fires for event streams and requests the client abandoned,
+// which never 'finish'.
+function trackRequest(req, res, route, requestId) {
+    const started = process.hrtime.bigint();
+    res.once('close', () => {
+        const seconds = Number(process.hrtime.bigint() - started) / 1e9;
+        recordRequest(route, req.method, res.statusCode, seconds);
+        logger.info('Request handled', {
+            requestId: requestId,
+            method: req.method,
+            route: route,
+            path: (req.originalUrl || req.url || '').split('?')[0],
+            status: res.statusCode,
+            durationMs: Math.round(seconds * 1000),
+            apiKey: req.apiKey || undefined
+        });
+    });
+}
+
+// Apply the checks above, then run the handler
+async function guard(handler, cost, req, res) {
+    setHeaders(res, API_SECURITY_HEADERS);
+
+    try {
+        const { config, limiter } = getProtection();
+        applyCors(req, res, config);
+
+        if (req.method === 'OPTIONS') {
+            return res.status(204).end();
+        }
+
+        checkBodySize(req, config);
+        const key = authenticate(req, config);
+        const limit = key ? key.limit : config.ipLimit;
+
+        if (cost > 0 && limit > 0) {
+            const result = await limiter.consume(clientKey(req, config, key), cost, limit);
+            setRateLimitHeaders(res, result);
+            if (!result.allowed) {
+                const retryAfter = Math.max(1, Math.ceil((result.resetAt - Date.now()) / 1000));
+                res.setHeader('Retry-After', String(retryAfter));
+                throw new ApiError('RATE_LIMITED', `Too many requests; try again in ${retryAfter} seconds`, {
+                    limit: result.limit,
+                    retryAfter: retryAfter
+                });
+            }
+        }
+
+        if (key) {
+            await limiter.recordUsage(key.name);
+        }
+        req.apiKey = key ? key.name : null;
+    } catch (error) {
+        return sendError(res, error);
+    }
+
+    return handler(req, res);
+}
+
+// Wrap an API handler with the protections above. Each request spends `cost`
+// of its client's budget per window (RATE_LIMIT_IP per address, or the key's
+// limit); expensive endpoints cost more, and cost 0 is never limited. A
+// limit of 0 turns that limit off. The handler sees the key's name as
+// req.apiKey (null when anonymous). `route` names the endpoint in logs and
+// metrics, e.g. '/api/countries/:code'.
+function protect(handler, { cost = 1, route = 'unknown' } = {}) {
+    return (req, res) => {
+        const requestId = requestIdFor(req);
+        res.setHeader('X-Request-Id', requestId);
+        trackRequest(req, res, route, requestId);
+        return withRequestContext({ requestId }, () => guard(handler, cost, req, res));
+    };
+}
+
+// Rate limit state and request counts for the API key a request carries
+async function describeKeyUsage(keyName) {
+    const { config, limiter } = getProtection();
+    const key = [...config.apiKeys.values()].find(k => k.name === keyName);
+    const [status, usage] = await Promise.all([
+        limiter.status(`key:${key.name}`, key.limit),
+        limiter.getUsage(key.name)
+    ]);
+
+    return {
+        key: key.name,
+        limit: key.limit,
+        windowMs: config.windowMs,
+        remaining: status.remaining,
+        resetAt: new Date(status.resetAt).toISOString(),
+        usage: usage
+    };
+}
+
+module.exports = {
+    API_SECURITY_HEADERS,
+    PAGE_SECURITY_HEADERS,
+    parseApiKeys,
+    getSecurityConfig,
+    configureProtection,
+    setHeaders,
+    preflight,
+    protect,
+    clientKeyFor,
+    describeKeyUsage
+};
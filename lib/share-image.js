@@ -0,0 +1,107 @@
+// Shareable summary card for a ranking ("I'm a Millionaire in 87
+// countries"), rendered as SVG or PNG entirely in-process.
+
+const { createCanvas, fillGradient, fillRect, drawCenteredText, encodePng } = require('./raster');
+
+const CARD_WIDTH = 1200;
+const CARD_HEIGHT = 630;
+const GRADIENT = ['#667eea', '#764ba2'];
+
+function formatAmount(amount) {
+    return amount.toLocaleString('en-US', { maximumFractionDigits: 2 });
+}
+
+// "a Millionaire" / "an Ultra-rich"
+function withArticle(name) {
+    return `${/^[aeiou]/i.test(name) ? 'an' : 'a'} ${name}`;
+}
+
+// The text on the card for a /api/calculate-ranking body. `query` holds the
+// request's filters so a filtered ranking says what it was filtered to.
+// Returns { badge, headline: [line, line], details: [...], footer }.
+function describeShareCard(ranking, query = {}) {
+    const usePPP = ranking.basis === 'ppp';
+    const tiers = usePPP ? ranking.ppp.tiers : ranking.tiers;
+    const totalCountries = usePPP ? ranking.ppp.totalCountries : ranking.totalCountries;
+    const top = tiers.find(tier => tier.count > 0);
+
+    const details = [`${formatAmount(ranking.originalWealth)} ${ranking.originalCurrency}${usePPP ? ' · purchasing power (PPP)' : ''}`];
+    if (top && totalCountries > top.count) {
+        details.push(`A wealth tier in ${totalCountries} countries`);
+    }
+
+    const filters = [
+        query.subregion || query.region,
+        query.language && `${query.language} speaking`,
+        query.minPopulation && `${formatAmount(query.minPopulation)}+ people`
+    ].filter(Boolean);
+    if (filters.length > 0) {
+        details.push(`Countries: ${filters.join(' · ')}`);
+    }
+
+    return {
+        badge: top ? top.badge : '🌍',
+        headline: top
+            ? [`I'm ${withArticle(top.name)}`, `in ${top.count} ${top.count === 1 ? 'country' : 'countries'}`]
+            : ['No wealth tier', 'in any country yet'],
+        details: details,
+        footer: `Global Wealth Ranker${ranking.ratesDate ? ` · exchange rates of ${ranking.ratesDate}` : ''}`
+    };
+}
+
+function escapeXml(text) {
+    return String(text).replace(/[<>&"']/g, char => ({
+        '<': '&lt;',
+        '>': '&gt;',
+        '&': '&amp;',
+        '"': '&quot;',
+        '\'': '&apos;'
+    })[char]);
+}
+
+// Largest font size up to `size` that keeps `text` within the card margins
+// (assuming an average glyph width of 0.6em)
+function fitFontSize(text, size) {
+    return Math.min(size, Math.floor((CARD_WIDTH - 100) / (0.6 * text.length)));
+}
+
+function renderShareSvg(card) {
+    const lines = [
+        { text: card.badge, y: 140, size: 96 },
+        ...card.headline.map((text, i) => ({ text, y: 265 + i * 85, size: fitFontSize(text, 76), weight: 700 })),
+        ...card.details.map((text, i) => ({ text, y: 450 + i * 46, size: fitFontSize(text, 34) })),
+        { text: card.footer, y: 595, size: 22, opacity: 0.8 }
+    ];
+
+    return `<svg xmlns="http://www.w3.org/2000/svg" width="${CARD_WIDTH}" height="${CARD_HEIGHT}" viewBox="0 0 ${CARD_WIDTH} ${CARD_HEIGHT}">
+<defs><linearGradient id="bg" x1="0" y1="0" x2="1" y2="1"><stop offset="0" stop-color="${GRADIENT[0]}"/><stop offset="1" stop-color="${GRADIENT[1]}"/></linearGradient></defs>
+<rect width="${CARD_WIDTH}" height="${CARD_HEIGHT}" fill="url(#bg)"/>
+<g fill="#ffffff" text-anchor="middle" font-family="-apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Helvetica, Arial, sans-serif">
+${lines.map(line => `<text x="${CARD_WIDTH / 2}" y="${line.y}" font-size="${line.size}"${line.weight ? ` font-weight="${line.weight}"` : ''}${line.opacity ? ` opacity="${line.opacity}"` : ''}>${escapeXml(line.text)}</text>`).join('\n')}
+</g>
+</svg>
+`;
+}
+
+// The PNG uses the built-in bitmap font, so the badge emoji is left out
+function renderSharePng(card) {
+    const canvas = createCanvas(CARD_WIDTH, CARD_HEIGHT);
+    fillGradient(canvas, GRADIENT[0], GRADIENT[1]);
+
+    card.headline.forEach((text, i) => {
+        drawCenteredText(canvas, text, 120 + i * 110, 12, '#ffffff', CARD_WIDTH - 100);
+    });
+    fillRect(canvas, CARD_WIDTH / 2 - 60, 350, 120, 4, '#ffffff');
+    card.details.forEach((text, i) => {
+        drawCenteredText(canvas, text, 395 + i * 50, 5, '#ffffff', CARD_WIDTH - 100);
+    });
+    drawCenteredText(canvas, card.footer, 580, 3, '#e0e0f0', CARD_WIDTH - 100);
+
+    return encodePng(canvas);
+}
+
+module.exports = {
+    describeShareCard,
+    renderShareSvg,
+    renderSharePng
+};
@@ -0,0 +1,100 @@
+// Wealth tiers. A tier applies when the local-currency amount is at or above
+// its threshold; the highest matching tier wins.
+
+const { ApiError } = require('./errors');
+const { logger } = require('./logger');
+
+const DEFAULT_TIERS = [
+    { id: 'thousandaire', name: 'Thousandaire', threshold: 1000, badge: '💵' },
+    { id: 'millionaire', name: 'Millionaire', threshold: 1000000, badge: '💫' },
+    { id: 'decamillionaire', name: 'Decamillionaire', threshold: 10000000, badge: '💎' },
+    { id: 'centimillionaire', name: 'Centimillionaire', threshold: 100000000, badge: '👑' },
+    { id: 'billionaire', name: 'Billionaire', threshold: 1000000000, badge: '🏆' },
+    { id: 'trillionaire', name: 'Trillionaire', threshold: 1000000000000, badge: '🚀' }
+];
+
+// Validate a tier set and return a copy sorted by threshold (ascending).
+// Throws an Error describing the first invalid entry.
+function normalizeTiers(tiers) {
+    if (!Array.isArray(tiers) || tiers.length === 0) {
+        throw new Error('Tiers must be a non-empty array');
+    }
+
+    const seen = new Set();
+    const normalized = tiers.map((tier, index) => {
+        if (!tier || typeof tier.id !== 'string' || !tier.id) {
+            throw new Error(`Tier ${index} must have a string id`);
+        }
+        if (seen.has(tier.id)) {
+            throw new Error(`Duplicate tier id: ${tier.id}`);
+        }
+        if (typeof tier.threshold !== 'number' || !Number.isFinite(tier.threshold) || tier.threshold <= 0) {
+            throw new Error(`Tier ${tier.id} must have a positive threshold`);
+        }
+        seen.add(tier.id);
+
+        return {
+            id: tier.id,
+            name: tier.name || tier.id,
+            threshold: tier.threshold,
+            badge: tier.badge || ''
+        };
+    });
+
+    return normalized.sort((a, b) => a.threshold - b.threshold);
+}
+
+// The tier set in the WEALTH_TIERS env variable (JSON), or null when it is
+// unset. Throws an Error naming the variable when the value is not a valid
+// tier set; server.js calls this at startup to refuse a broken config.
+function envTiers(env = process.env) {
+    if (!env.WEALTH_TIERS) {
+        return null;
+    }
+
+    try {
+        return normalizeTiers(JSON.parse(env.WEALTH_TIERS));
+    } catch (error) {
+        throw new Error(`WEALTH_TIERS is not a valid tier set: ${error.message}`);
+    }
+}
+
+// Pick the tier set for a request: an explicit list wins, then the
+// WEALTH_TIERS env variable, then the built-in defaults
+function resolveTiers(customTiers) {
+    if (customTiers !== undefined) {
+        return normalizeTiers(customTiers);
+    }
+
+    let tiers;
+    try {
+        tiers = envTiers();
+    } catch (error) {
+        // The reason goes to the logs; clients only learn the config is broken
+        logger.error('Invalid tier configuration', { reason: error.message });
+        throw new ApiError('INTERNAL_ERROR', 'The server tier configuration (WEALTH_TIERS) is invalid');
+    }
+
+    return tiers || DEFAULT_TIERS;
+}
+
+// Return the highest tier reached by a local-currency amount, or null
+function classifyTier(amount, tiers = DEFAULT_TIERS) {
+    let reached = null;
+
+    tiers.forEach(tier => {
+        if (amount >= tier.threshold && (!reached || tier.threshold > reached.threshold)) {
+            reached = tier;
+        }
+    });
+
+    return reached;
+}
+
+module.exports = {
+    DEFAULT_TIERS,
+    normalizeTiers,
+    envTiers,
+    resolveTiers,
+    classifyTier
+};
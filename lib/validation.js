@@ -0,0 +1,308 @@
+// Request schemas for every endpoint. A schema maps field names to
+// { type, required?, values?, min?, max? }; validate() checks a body or query
+// against it and returns the cleaned values, or throws an ApiError with the
+// field's code. Query strings are coerced first (numbers, booleans, and JSON
+// for holdings and tiers).
+
+const { ApiError } = require('./errors');
+const { isISODate } = require('./rate-history');
+const { resolveTiers } = require('./tiers');
+const { SORT_KEYS } = require('./ranking-query');
+
+const TYPES = {
+    amount: {
+        code: 'INVALID_AMOUNT',
+        message: field => `${field} must be a positive, finite number`,
+        parse: value => (typeof value === 'number' && Number.isFinite(value) && value > 0 ? value : undefined)
+    },
+    currency: {
+        code: 'UNKNOWN_CURRENCY',
+        message: field => `${field} must be a three-letter currency code`,
+        parse: value => (typeof value === 'string' && /^[A-Za-z]{3}$/.test(value.trim()) ? value.trim().toUpperCase() : undefined)
+    },
+    // `past: true` also rejects days after today (UTC): there are no rates
+    // for them yet
+    date: {
+        code: 'INVALID_DATE',
+        message: (field, { past }) => `${field} must be a date formatted as YYYY-MM-DD${past ? ', no later than today' : ''}`,
+        parse: (value, { past }) => (isISODate(value) && !(past && value > new Date().toISOString().slice(0, 10)) ? value : undefined)
+    },
+    boolean: {
+        code: 'INVALID_PARAMETER',
+        message: field => `${field} must be true or false`,
+        parse: value => (typeof value === 'boolean' ? value : undefined)
+    },
+    year: {
+        code: 'INVALID_PARAMETER',
+        message: field => `${field} must be an integer year`,
+        parse: value => (Number.isInteger(value) && value >= 1900 && value <= 2100 ? value : undefined)
+    },
+    holdings: {
+        code: 'INVALID_HOLDINGS',
+        message: field => `${field} must be a non-empty array of holdings`,
+        parse: parseHoldings
+    },
+    tiers: {
+        code: 'INVALID_TIERS',
+        message: field => `${field} must be an array of { id, name, threshold, badge }`,
+        parse: value => resolveTiers(value)
+    },
+    string: {
+        code: 'INVALID_PARAMETER',
+        message: field => `${field} must be a non-empty string`,
+        parse: value => (typeof value === 'string' && value.trim() ? value.trim() : undefined)
+    },
+    count: {
+        code: 'INVALID_PARAMETER',
+        message: (field, { min = 0, max }) => `${field} must be a whole number from ${min}${max ? ` to ${max}` : ''}`,
+        parse: (value, { min = 0, max }) => (Number.isInteger(value) && value >= min && (!max || value <= max) ? value : undefined)
+    },
+    countryCode: {
+        code: 'INVALID_PARAMETER',
+        message: field => `${field} must be an ISO alpha-2 or alpha-3 country code`,
+        parse: value => (typeof value === 'string' && /^[A-Za-z]{2,3}$/.test(value.trim()) ? value.trim().toUpperCase() : undefined)
+    },
+    enum: {
+        code: 'INVALID_PARAMETER',
+        message: (field, { values }) => `${field} must be one of ${values.join(', ')}`,
+        parse: (value, { values }) => (values.includes(value) ? value : undefined)
+    }
+};
+
+// Query-string values arrive as strings
+const QUERY_COERCIONS = {
+    amount: Number,
+    year: Number,
+    count: Number,
+    boolean: value => (value === 'true' || value === '1' ? true : value === 'false' || value === '0' ? false : value),
+    holdings: JSON.parse,
+    tiers: JSON.parse
+};
+
+const RANKING_SCHEMA = {
+    wealth: { type: 'amount' },
+    currency: { type: 'currency' },
+    holdings: { type: 'holdings' },
+    tiers: { type: 'tiers' },
+    ppp: { type: 'boolean' },
+    pppYear: { type: 'year' },
+    asOf: { type: 'date', past: true },
+    region: { type: 'string' },
+    subregion: { type: 'string' },
+    language: { type: 'string' },
+    minPopulation: { type: 'count' },
+    tier: { type: 'string' },
+    basis: { type: 'enum', values: ['nominal', 'ppp'] },
+    sort: { type: 'enum', values: SORT_KEYS },
+    order: { type: 'enum', values: ['asc', 'desc'] },
+    limit: { type: 'count', min: 1, max: 250 },
+    offset: { type: 'count' }
+};
+
+// Fields of RANKING_SCHEMA passed on to buildRanking as `query`
+const RANKING_QUERY_FIELDS = ['region', 'subregion', 'language', 'minPopulation', 'tier', 'basis', 'sort', 'order', 'limit', 'offset'];
+
+const RATES_QUERY_SCHEMA = {
+    date: { type: 'date', past: true }
+};
+
+const HISTORY_QUERY_SCHEMA = {
+    currency: { type: 'currency', required: true },
+    from: { type: 'date' },
+    to: { type: 'date' }
+};
+
+const REQUIRED_WEALTH_SCHEMA = {
+    tier: { type: 'string', required: true },
+    currency: { type: 'currency', required: true },
+    country: { type: 'countryCode' },
+    count: { type: 'count', min: 1 },
+    wealth: { type: 'amount' },
+    tiers: { type: 'tiers' },
+    asOf: { type: 'date', past: true },
+    region: { type: 'string' },
+    subregion: { type: 'string' },
+    language: { type: 'string' },
+    minPopulation: { type: 'count' }
+};
+
+const COUNTRY_DETAIL_SCHEMA = {
+    code: { type: 'countryCode', required: true },
+    wealth: { type: 'amount' },
+    currency: { type: 'currency' },
+    tiers: { type: 'tiers' },
+    asOf: { type: 'date', past: true }
+};
+
+// Download format of /api/calculate-ranking (default: the plain JSON body)
+const RANKING_FORMAT_SCHEMA = {
+    format: { type: 'enum', values: ['json', 'csv'] }
+};
+
+const SHARE_IMAGE_SCHEMA = {
+    format: { type: 'enum', values: ['svg', 'png'] }
+};
+
+const FACTS_QUERY_SCHEMA = {
+    code: { type: 'countryCode', required: true },
+    date: { type: 'date' }
+};
+
+// Check `input` against `schema`. Absent optional fields are left out of
+// the result; null counts as absent.
+function validate(input, schema, source = 'body') {
+    if (input === undefined || input === null) {
+        input = {};
+    }
+    if (typeof input !== 'object' || Array.isArray(input)) {
+        throw new ApiError('INVALID_REQUEST', `Request ${source} must be a JSON object`);
+    }
+
+    const result = {};
+    Object.keys(schema).forEach(field => {
+        const { type, required } = schema[field];
+        const spec = TYPES[type];
+        let value = input[field];
+
+        if (source === 'query' && typeof value === 'string') {
+            if (value === '') {
+                value = undefined;
+            } else if (QUERY_COERCIONS[type]) {
+                try {
+                    value = QUERY_COERCIONS[type](value);
+                } catch (error) {
+                    throw new ApiError(spec.code, `${field} must be valid JSON`, { field });
+                }
+            }
+        }
+
+        if (value === undefined || value === null) {
+            if (required) {
+                throw new ApiError(spec.code, `${field} is required`, { field });
+            }
+            return;
+        }
+
+        let parsed;
+        try {
+            parsed = spec.parse(value, schema[field]);
+        } catch (error) {
+            throw new ApiError(spec.code, error.message, { field });
+        }
+        if (parsed === undefined) {
+            throw new ApiError(spec.code, spec.message(field, schema[field]), { field });
+        }
+        result[field] = parsed;
+    });
+
+    return result;
+}
+
+// Each holding is { amount >= 0, currency, category?, label?, liability? }
+function parseHoldings(holdings) {
+    if (!Array.isArray(holdings) || holdings.length === 0) {
+        return undefined;
+    }
+
+    return holdings.map((holding, index) => {
+        const field = `holdings[${index}]`;
+        if (!holding || typeof holding !== 'object' || Array.isArray(holding)) {
+            throw new Error(`${field} must be an object`);
+        }
+        if (typeof holding.amount !== 'number' || !Number.isFinite(holding.amount) || holding.amount < 0) {
+            throw new Error(`${field}.amount must be a non-negative, finite number`);
+        }
+        const currency = TYPES.currency.parse(holding.currency);
+        if (!currency) {
+            throw new Error(`${field}.currency must be a three-letter currency code`);
+        }
+        if (holding.category !== undefined && typeof holding.category !== 'string') {
+            throw new Error(`${field}.category must be a string`);
+        }
+        if (holding.label !== undefined && typeof holding.label !== 'string') {
+            throw new Error(`${field}.label must be a string`);
+        }
+
+        return {
+            amount: holding.amount,
+            currency: currency,
+            category: holding.category,
+            label: holding.label,
+            liability: holding.liability === true
+        };
+    });
+}
+
+// Validate a ranking request: either `wealth` + `currency`, or `holdings`
+// (with `currency` as the reporting currency, default USD). `source` is
+// 'body' for POST and 'query' for the GET variant. The filter, sort and
+// paging fields are collected into `request.query`.
+function validateRankingRequest(input, source = 'body') {
+    const request = validate(input, RANKING_SCHEMA, source);
+
+    request.query = {};
+    RANKING_QUERY_FIELDS.forEach(field => {
+        if (request[field] !== undefined) {
+            request.query[field] = request[field];
+        }
+    });
+    if (request.basis === 'ppp' && !request.ppp) {
+        throw new ApiError('INVALID_PARAMETER', 'basis "ppp" needs ppp: true', { field: 'basis' });
+    }
+
+    const tiers = request.tiers || resolveTiers();
+    if (request.tier && !tiers.some(tier => tier.id === request.tier)) {
+        throw new ApiError('INVALID_PARAMETER', `Unknown tier ${request.tier}`, {
+            field: 'tier',
+            values: tiers.map(tier => tier.id)
+        });
+    }
+
+    if (request.holdings) {
+        request.currency = request.currency || 'USD';
+    } else {
+        if (request.wealth === undefined) {
+            throw new ApiError('INVALID_AMOUNT', 'wealth is required (or send holdings)', { field: 'wealth' });
+        }
+        if (!request.currency) {
+            throw new ApiError('UNKNOWN_CURRENCY', 'currency is required', { field: 'currency' });
+        }
+    }
+
+    return request;
+}
+
+// Validate a required-wealth request: a tier, an output currency and at most
+// one of `country` or `count` (neither means every country in the filters)
+function validateRequiredWealthRequest(input, source = 'body') {
+    const request = validate(input, REQUIRED_WEALTH_SCHEMA, source);
+
+    if (request.country && request.count) {
+        throw new ApiError('INVALID_PARAMETER', 'Send either country or count, not both', { field: 'count' });
+    }
+
+    return request;
+}
+
+// Every code must have a rate (after any asset prices were merged in)
+function assertKnownCurrencies(codes, rates) {
+    const unknown = codes.find(code => !rates[code]);
+    if (unknown) {
+        throw new ApiError('UNKNOWN_CURRENCY', `No exchange rate for ${unknown}`, { currency: unknown });
+    }
+}
+
+module.exports = {
+    RANKING_SCHEMA,
+    RATES_QUERY_SCHEMA,
+    HISTORY_QUERY_SCHEMA,
+    REQUIRED_WEALTH_SCHEMA,
+    COUNTRY_DETAIL_SCHEMA,
+    FACTS_QUERY_SCHEMA,
+    RANKING_FORMAT_SCHEMA,
+    SHARE_IMAGE_SCHEMA,
+    validate,
+    validateRankingRequest,
+    validateRequiredWealthRequest,
+    assertKnownCurrencies
+};
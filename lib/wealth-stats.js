@@ -0,0 +1,64 @@
+// Relative wealth against local income and wealth statistics from the
+// bundled dataset in data/wealth-stats.json (amounts in US dollars).
+
+const defaultDataset = require('../data/wealth-stats.json');
+
+// Standard normal CDF (Abramowitz & Stegun 7.1.26 approximation of erf)
+function normalCdf(z) {
+    const x = Math.abs(z) / Math.SQRT2;
+    const t = 1 / (1 + 0.3275911 * x);
+    const erf = 1 - (((((1.061405429 * t - 1.453152027) * t) + 1.421413741) * t - 0.284496736) * t + 0.254829592) * t * Math.exp(-x * x);
+    return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+}
+
+// Estimate which percentile of adults a USD wealth figure falls in, modelling
+// the wealth distribution as log-normal fitted to its median and mean
+// (mu = ln(median), sigma^2 = 2 ln(mean / median)). Returns null when the
+// country has no usable distribution data.
+function estimateWealthPercentile(wealthInUSD, stats) {
+    if (!stats || !stats.medianWealth || !stats.meanWealth || stats.meanWealth <= stats.medianWealth) {
+        return null;
+    }
+    if (wealthInUSD <= 0) return 0;
+
+    const mu = Math.log(stats.medianWealth);
+    const sigma = Math.sqrt(2 * Math.log(stats.meanWealth / stats.medianWealth));
+
+    return normalCdf((Math.log(wealthInUSD) - mu) / sigma) * 100;
+}
+
+// Look up a country's statistics by ISO alpha-3 code
+function getWealthStats(countryCode, dataset = defaultDataset) {
+    return (countryCode && dataset.countries[countryCode]) || null;
+}
+
+// Relative wealth figures for one country, or null without statistics
+function describeRelativeWealth(wealthInUSD, stats) {
+    if (!stats) return null;
+
+    const percentile = estimateWealthPercentile(wealthInUSD, stats);
+
+    return {
+        yearsOfMedianIncome: stats.medianIncome ? wealthInUSD / stats.medianIncome : null,
+        yearsOfGdpPerCapita: stats.gdpPerCapita ? wealthInUSD / stats.gdpPerCapita : null,
+        percentile: percentile,
+        topPercent: percentile === null ? null : 100 - percentile
+    };
+}
+
+// Version metadata included in ranking responses
+function getWealthStatsInfo(dataset = defaultDataset) {
+    return {
+        version: dataset.version,
+        source: dataset.source,
+        countryCount: Object.keys(dataset.countries).length
+    };
+}
+
+module.exports = {
+    WEALTH_STATS_DATASET: defaultDataset,
+    getWealthStats,
+    estimateWealthPercentile,
+    describeRelativeWealth,
+    getWealthStatsInfo
+};
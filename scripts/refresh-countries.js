@@ -0,0 +1,126 @@
+#!/usr/bin/env node
+// Regenerate data/countries-snapshot.json from restcountries and print what
+// changed. Accepts v3.1 and v2 payloads; records are stored in the v3.1
+// field layout and normalised at load time like live data.
+//
+// Usage: npm run refresh-countries [-- --dry-run] [-- --from <file>]
+//
+// --from builds the snapshot from a saved restcountries response (a JSON
+// array) or an earlier snapshot file instead of fetching, for machines
+// without access to restcountries.
+
+const fs = require('fs');
+const path = require('path');
+const { COUNTRY_FIELDS, COUNTRIES_SNAPSHOT_FILE, fetchRawCountries, addCountryBorders } = require('../lib/data');
+const { toV3Country } = require('../lib/countries');
+
+const SNAPSHOT_FIELDS = [...COUNTRY_FIELDS, 'borders'];
+const FETCH_TIMEOUT = 30000;
+
+// Raw records from a saved response or snapshot: { endpoint, countries }.
+// A snapshot keeps the source it was built from.
+async function readCountriesFile(file) {
+    const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+    const countries = Array.isArray(data) ? data : data.countries;
+    if (!Array.isArray(countries) || countries.length === 0) {
+        throw new Error(`${file} holds no countries`);
+    }
+
+    return {
+        endpoint: (!Array.isArray(data) && data.source) || path.basename(file),
+        countries: await addCountryBorders(countries, FETCH_TIMEOUT)
+    };
+}
+
+// Keep only the snapshot fields, in a stable order
+function toSnapshotRecord(rawCountry) {
+    const country = toV3Country(rawCountry);
+    const record = {};
+
+    SNAPSHOT_FIELDS.forEach(field => {
+        if (country[field] !== undefined) {
+            record[field] = country[field];
+        }
+    });
+
+    return record;
+}
+
+function readExistingSnapshot() {
+    try {
+        return JSON.parse(fs.readFileSync(COUNTRIES_SNAPSHOT_FILE, 'utf8'));
+    } catch (error) {
+        return { countries: [] };
+    }
+}
+
+// Compare two snapshots by cca3: added, removed and changed fields
+function diffSnapshots(previous, next) {
+    const before = new Map(previous.map(c => [c.cca3, c]));
+    const after = new Map(next.map(c => [c.cca3, c]));
+
+    const added = next.filter(c => !before.has(c.cca3)).map(c => c.name.common);
+    const removed = previous.filter(c => !after.has(c.cca3)).map(c => c.name.common);
+    const changed = [];
+
+    next.forEach(country => {
+        const old = before.get(country.cca3);
+        if (!old) return;
+
+        const fields = SNAPSHOT_FIELDS.filter(field => JSON.stringify(old[field]) !== JSON.stringify(country[field]));
+        if (fields.length > 0) {
+            changed.push(`${country.name.common}: ${fields.join(', ')}`);
+        }
+    });
+
+    return { added, removed, changed };
+}
+
+function printList(title, items) {
+    console.log(`\n${title} (${items.length})`);
+    items.forEach(item => console.log(`  ${item}`));
+}
+
+async function main() {
+    const dryRun = process.argv.includes('--dry-run');
+    const fromIndex = process.argv.indexOf('--from');
+    if (fromIndex !== -1 && !process.argv[fromIndex + 1]) {
+        throw new Error('--from needs a file');
+    }
+
+    const { endpoint, countries: rawCountries } = fromIndex === -1
+        ? await fetchRawCountries(FETCH_TIMEOUT)
+        : await readCountriesFile(process.argv[fromIndex + 1]);
+
+    const countries = rawCountries
+        .map(toSnapshotRecord)
+        .filter(c => c.cca3 && c.name && c.name.common)
+        .sort((a, b) => a.cca3.localeCompare(b.cca3));
+
+    const previous = readExistingSnapshot();
+    const { added, removed, changed } = diffSnapshots(previous.countries, countries);
+
+    console.log(`\nGot ${countries.length} countries from ${endpoint}`);
+    console.log(`Previous snapshot: ${previous.countries.length} countries (${previous.generatedAt || 'none'})`);
+    printList('Added', added);
+    printList('Removed', removed);
+    printList('Changed', changed);
+
+    if (dryRun) {
+        console.log('\nDry run - snapshot not written');
+        return;
+    }
+
+    const snapshot = {
+        generatedAt: new Date().toISOString(),
+        source: endpoint,
+        countries: countries
+    };
+    fs.writeFileSync(COUNTRIES_SNAPSHOT_FILE, JSON.stringify(snapshot, null, 2) + '\n');
+    console.log(`\nWrote ${COUNTRIES_SNAPSHOT_FILE}`);
+}
+
+main().catch(error => {
+    console.error('Failed to refresh countries snapshot:', error.message);
+    process.exit(1);
+});
@@ -0,0 +1,253 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { COUNTRY_PATHS, logs, resetState, mockRates, mockCountries, mockCountriesOk, listen } = require('./helpers');
+const { configureProtection } = require('../lib/security');
+const app = require('../server');
+
+let server;
+
+test.before(async () => {
+    server = await listen(app);
+});
+test.after(() => server.close());
+test.beforeEach(resetState);
+
+function get(path, options) {
+    return fetch(`${server.url}${path}`, options);
+}
+
+function post(path, body) {
+    return get(path, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+    });
+}
+
+test.describe('/api/countries endpoint fallback', () => {
+    let requested;
+
+    test.beforeEach(() => {
+        requested = [];
+    });
+
+    // Mock a restcountries endpoint and note each request it answers
+    function mock(endpoint, mode) {
+        mockCountries(endpoint, mode).on('request', req => requested.push(req.path));
+    }
+
+    test('the first endpoint serves the list, with borders from a second request', async () => {
+        mock('v3Fields');
+        mock('borders');
+
+        const response = await get('/api/countries');
+        const body = await response.json();
+
+        assert.equal(response.status, 200);
+        assert.equal(body.source, 'live');
+        assert.equal(body.snapshotDate, null);
+        assert.equal(body.countries.length, 8);
+        assert.deepEqual(body.countries.find(c => c.cca3 === 'CHE').borders, ['AUT', 'FRA', 'ITA', 'LIE', 'DEU']);
+        assert.equal(response.headers.get('X-Countries-Source'), 'upstream');
+        assert.deepEqual(requested, [COUNTRY_PATHS.v3Fields, COUNTRY_PATHS.borders]);
+    });
+
+    test('a failing endpoint falls through to the full v3.1 list', async () => {
+        mock('v3Fields', 'error');
+        mock('v3');
+        mock('borders');
+
+        const body = await (await get('/api/countries')).json();
+
+        assert.equal(body.source, 'live');
+        assert.equal(body.countries.length, 8);
+        assert.deepEqual(requested, [COUNTRY_PATHS.v3Fields, COUNTRY_PATHS.v3, COUNTRY_PATHS.borders]);
+    });
+
+    test('timeouts and malformed payloads fall through to v2, which carries its own borders', async () => {
+        mock('v3Fields', 'timeout');
+        mock('v3', 'malformed');
+        mock('v2');
+
+        const body = await (await get('/api/countries')).json();
+
+        assert.equal(body.source, 'live');
+        assert.equal(body.countries.find(c => c.cca3 === 'JPN').currency, 'JPY');
+        assert.deepEqual(body.countries.find(c => c.cca3 === 'DEU').borders.length, 9);
+        assert.deepEqual(requested, [COUNTRY_PATHS.v3Fields, COUNTRY_PATHS.v3, COUNTRY_PATHS.v2]);
+    });
+
+    test('the snapshot is served when every endpoint fails', async () => {
+        mock('v3Fields', 'error');
+        mock('v3', 'timeout');
+        mock('v2', 'malformed');
+
+        const response = await get('/api/countries');
+        const body = await response.json();
+
+        assert.equal(response.status, 200);
+        assert.equal(body.source, 'snapshot');
+        assert.ok(body.snapshotDate);
+        assert.ok(body.countries.length > 200);
+        assert.equal(response.headers.get('X-Countries-Source'), 'snapshot');
+        assert.equal(response.headers.get('X-Countries-Stale'), 'true');
+        assert.deepEqual(requested, [COUNTRY_PATHS.v3Fields, COUNTRY_PATHS.v3, COUNTRY_PATHS.v2]);
+    });
+});
+
+test('a ranking is calculated from the mocked upstreams', async () => {
+    mockRates('ok');
+    mockCountriesOk();
+
+    const response = await post('/api/calculate-ranking', { wealth: 1000000, currency: 'USD' });
+    const body = await response.json();
+
+    assert.equal(response.status, 200);
+    assert.equal(body.totalCountries, 6);
+    assert.equal(body.skippedCountries, 2);
+    assert.equal(body.countries[0].cca3, 'JPN');
+    assert.equal(response.headers.get('X-Rates-Source'), 'upstream');
+    assert.ok(response.headers.get('X-Request-Id'));
+});
+
+test('prices from the bundled asset file are reported as stale', async () => {
+    mockRates('ok');
+    mockCountriesOk();
+
+    const response = await post('/api/calculate-ranking', { wealth: 1000, currency: 'XAU' });
+    const body = await response.json();
+
+    assert.equal(response.status, 200);
+    assert.equal(body.assetPrices.XAU.provider, 'file');
+    assert.equal(body.assetPrices.XAU.stale, true);
+    assert.equal(response.headers.get('X-Asset-Prices-Stale'), 'true');
+});
+
+test('asset holdings cannot be combined with historical rates', async () => {
+    mockRates('ok');
+    mockCountriesOk();
+    // Stores the fixture's 2024-09-30 snapshot in the rate history
+    await post('/api/calculate-ranking', { wealth: 1000000, currency: 'USD' });
+
+    const holdings = [{ amount: 500000, currency: 'USD' }, { amount: 2, currency: 'BTC' }];
+    const response = await post('/api/calculate-ranking', { holdings, currency: 'USD', asOf: '2024-10-01' });
+    const body = await response.json();
+
+    assert.equal(response.status, 400);
+    assert.equal(body.code, 'INVALID_PARAMETER');
+    assert.deepEqual(body.details, { field: 'asOf', assets: ['BTC'] });
+
+    const fiat = await post('/api/calculate-ranking', { holdings: holdings.slice(0, 1), currency: 'USD', asOf: '2024-10-01' });
+    assert.equal(fiat.status, 200);
+    assert.equal((await fiat.json()).ratesDate, '2024-09-30');
+});
+
+test('dates after today are rejected before any upstream request', async () => {
+    const tomorrow = new Date(Date.now() + 86400000).toISOString().slice(0, 10);
+
+    const ranking = await post('/api/calculate-ranking', { wealth: 1000000, currency: 'USD', asOf: tomorrow });
+    assert.equal(ranking.status, 400);
+    assert.deepEqual(await ranking.json(), {
+        error: 'asOf must be a date formatted as YYYY-MM-DD, no later than today',
+        code: 'INVALID_DATE',
+        details: { field: 'asOf' }
+    });
+
+    const rates = await get(`/api/exchange-rates?date=${tomorrow}`);
+    assert.equal(rates.status, 400);
+    assert.deepEqual((await rates.json()).details, { field: 'date' });
+
+    const country = await get(`/api/countries/JPN?asOf=${tomorrow}`);
+    assert.equal(country.status, 400);
+    assert.equal((await country.json()).code, 'INVALID_DATE');
+});
+
+test('an invalid amount is rejected before any upstream request', async () => {
+    const response = await post('/api/calculate-ranking', { wealth: -5, currency: 'USD' });
+    const body = await response.json();
+
+    assert.equal(response.status, 400);
+    assert.equal(body.code, 'INVALID_AMOUNT');
+});
+
+test('an unknown tier filter is rejected with the valid ids', async () => {
+    const response = await get('/api/calculate-ranking?wealth=1000000&currency=USD&tier=zillionaire');
+    const body = await response.json();
+
+    assert.equal(response.status, 400);
+    assert.equal(body.code, 'INVALID_PARAMETER');
+    assert.equal(body.details.field, 'tier');
+    assert.ok(body.details.values.includes('millionaire'));
+
+    const custom = [{ id: 'comfy', name: 'Comfy', threshold: 500000, badge: '🛋️' }];
+    const rejected = await post('/api/calculate-ranking', { wealth: 1000000, currency: 'USD', tiers: custom, tier: 'millionaire' });
+    assert.deepEqual((await rejected.json()).details, { field: 'tier', values: ['comfy'] });
+});
+
+test('a ranking fails with 503 when rates cannot be loaded', async () => {
+    mockRates('error');
+    mockCountriesOk();
+
+    const response = await post('/api/calculate-ranking', { wealth: 1000000, currency: 'USD' });
+
+    assert.equal(response.status, 503);
+    // Provider errors can name internal hosts; they are only logged
+    assert.deepEqual(await response.json(), {
+        error: 'Exchange rates are temporarily unavailable',
+        code: 'UPSTREAM_UNAVAILABLE'
+    });
+    const logged = logs.find(line => line.msg === 'Upstream data unavailable');
+    assert.match(logged.reason, /All exchange rate providers failed/);
+    assert.ok(logged.requestId);
+});
+
+test('health is degraded on the countries snapshot and unavailable without rates', async () => {
+    mockRates('ok');
+    ['v3Fields', 'v3', 'v2'].forEach(endpoint => mockCountries(endpoint, 'error'));
+
+    const degraded = await get('/api/health');
+    assert.equal(degraded.status, 200);
+    assert.equal((await degraded.json()).status, 'degraded');
+
+    resetState();
+    mockRates('error');
+    mockCountriesOk();
+
+    const unavailable = await get('/api/health');
+    const body = await unavailable.json();
+    assert.equal(unavailable.status, 503);
+    assert.equal(body.status, 'unavailable');
+    assert.equal(body.checks.rates.ready, false);
+    assert.equal(body.checks.rates.error, 'UPSTREAM_UNAVAILABLE');
+    assert.equal(body.checks.countries.ready, true);
+    assert.ok(logs.some(line => line.msg === 'Health check failed' && /All exchange rate providers failed/.test(line.reason)));
+});
+
+test('health checks count against the rate limit', async () => {
+    configureProtection({ ...process.env, RATE_LIMIT_IP: '1' });
+    mockRates('ok');
+    mockCountriesOk();
+
+    assert.equal((await get('/api/health')).status, 200);
+    assert.equal((await get('/api/health')).status, 429);
+});
+
+test('unknown API routes get a JSON 404', async () => {
+    const response = await get('/api/nope');
+
+    assert.equal(response.status, 404);
+    assert.equal((await response.json()).code, 'NOT_FOUND');
+});
+
+test('metrics count requests by route', async () => {
+    mockCountriesOk();
+    await get('/api/countries');
+    await get('/api/countries');
+
+    const response = await get('/api/metrics');
+    const text = await response.text();
+
+    assert.equal(response.status, 200);
+    assert.match(text, /wealth_ranker_http_requests_total\{route="\/api\/countries",method="GET",status="200"\} 2/);
+    assert.match(text, /wealth_ranker_cache_lookups_total\{key="countries",result="hit"\} 1/);
+});
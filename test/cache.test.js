@@ -0,0 +1,176 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const net = require('net');
+const nock = require('nock');
+const { logs, resetState, mockRates, mockCountries, mockCountriesOk, mockClock } = require('./helpers');
+const { CACHE_TTLS, loadExchangeRates, loadExchangeRatesAsOf, loadCountries } = require('../lib/data');
+const { renderMetrics } = require('../lib/metrics');
+const { createRedisClient, createRedisServer } = require('../lib/redis');
+
+const HOUR = 3600000;
+
+test.beforeEach(resetState);
+
+// Let a background refresh started by the cache finish
+function settle() {
+    return new Promise(resolve => setTimeout(resolve, 50));
+}
+
+test('rates are fetched once and then served from the cache', async () => {
+    mockRates('ok');
+
+    const first = await loadExchangeRates();
+    const second = await loadExchangeRates();
+
+    assert.equal(first.cache.source, 'upstream');
+    assert.equal(second.cache.source, 'memory');
+    assert.equal(second.cache.stale, false);
+    assert.deepEqual(second.exchangeRates, first.exchangeRates);
+    assert.match(renderMetrics(), /key="exchange-rates",result="hit"} 1/);
+});
+
+test('expired rates are served stale while they are refreshed', async t => {
+    const clock = mockClock(t);
+    mockRates('ok', { times: 2 });
+
+    const first = await loadExchangeRates();
+    clock.advance(CACHE_TTLS.exchangeRates + 1);
+
+    const stale = await loadExchangeRates();
+    assert.equal(stale.cache.stale, true);
+    assert.equal(stale.cache.fetchedAt, first.cache.fetchedAt);
+
+    await settle();
+    assert.ok(nock.isDone());
+    const refreshed = await loadExchangeRates();
+    assert.equal(refreshed.cache.stale, false);
+    assert.notEqual(refreshed.cache.fetchedAt, first.cache.fetchedAt);
+});
+
+test('a failed background refresh keeps the stale rates', async t => {
+    const clock = mockClock(t);
+    mockRates('ok');
+    await loadExchangeRates();
+
+    mockRates('error');
+    clock.advance(CACHE_TTLS.exchangeRates + 1);
+    assert.equal((await loadExchangeRates()).cache.stale, true);
+
+    await settle();
+    assert.ok(logs.some(line => line.msg === 'Background refresh failed' && line.key === 'exchange-rates'));
+});
+
+test('the static rates file never replaces cached live rates', async t => {
+    const clock = mockClock(t);
+    t.after(() => {
+        process.env.RATE_PROVIDERS = 'exchangerate-api';
+    });
+    process.env.RATE_PROVIDERS = 'exchangerate-api,file';
+    mockRates('ok', { rates: { EUR: 0.5 } });
+    const live = await loadExchangeRates();
+
+    mockRates('error');
+    clock.advance(CACHE_TTLS.exchangeRates + 1);
+    await loadExchangeRates();
+    await settle();
+
+    const result = await loadExchangeRates();
+    assert.equal(result.exchangeRates.provider, 'exchangerate-api');
+    assert.equal(result.exchangeRates.rates.EUR, 0.5);
+    assert.equal(result.cache.stale, true);
+    assert.equal(result.cache.fetchedAt, live.cache.fetchedAt);
+    assert.ok(logs.some(line => line.msg === 'Background refresh failed' && /keeping the cached live rates/.test(line.error)));
+});
+
+test('rates past the stale window are still served when the providers fail', async t => {
+    const clock = mockClock(t);
+    mockRates('ok');
+    const first = await loadExchangeRates();
+
+    mockRates('timeout');
+    clock.advance(3 * HOUR);
+
+    const result = await loadExchangeRates();
+    assert.equal(result.cache.stale, true);
+    assert.equal(result.cache.fetchedAt, first.cache.fetchedAt);
+    assert.equal(result.exchangeRates.rates.JPY, 145);
+});
+
+test('rates fail with UPSTREAM_UNAVAILABLE when nothing is cached', async () => {
+    mockRates('malformed');
+
+    await assert.rejects(loadExchangeRates(), error => {
+        assert.equal(error.code, 'UPSTREAM_UNAVAILABLE');
+        assert.equal(error.details, null);
+        assert.match(error.cause.message, /exchangerate-api returned no rates/);
+        return true;
+    });
+    assert.ok(logs.some(line => line.msg === 'Upstream data unavailable' && /exchangerate-api returned no rates/.test(line.reason)));
+});
+
+test('rates as of a future day are refused rather than served from today', async () => {
+    const tomorrow = new Date(Date.now() + 86400000).toISOString().slice(0, 10);
+
+    await assert.rejects(loadExchangeRatesAsOf(tomorrow), { code: 'INVALID_DATE', details: { date: tomorrow } });
+});
+
+test('countries fall back to the bundled snapshot when nothing is cached', async () => {
+    ['v3Fields', 'v3', 'v2'].forEach(endpoint => mockCountries(endpoint, 'error'));
+
+    const result = await loadCountries();
+
+    assert.equal(result.source, 'snapshot');
+    assert.ok(result.snapshotDate);
+    assert.ok(result.countries.length > 200);
+    assert.ok(logs.some(line => line.level === 'warn' && line.msg === 'Serving bundled countries snapshot'));
+});
+
+test('the snapshot is served without retrying upstream for a while', async t => {
+    const clock = mockClock(t);
+    ['v3Fields', 'v3', 'v2'].forEach(endpoint => mockCountries(endpoint, 'error'));
+    await loadCountries();
+
+    // No mocks are left, so a request upstream would fail the test
+    clock.advance(60000);
+    assert.equal((await loadCountries()).source, 'snapshot');
+
+    clock.advance(5 * 60000);
+    mockCountriesOk();
+    assert.equal((await loadCountries()).source, 'live');
+});
+
+test('stale cached countries beat the snapshot when upstream fails', async t => {
+    const clock = mockClock(t);
+    mockCountriesOk();
+    const first = await loadCountries();
+    assert.equal(first.source, 'live');
+    assert.equal(first.countries.length, 8);
+
+    ['v3Fields', 'v3', 'v2'].forEach(endpoint => mockCountries(endpoint, 'error'));
+    clock.advance(3 * CACHE_TTLS.countries);
+
+    const result = await loadCountries();
+    assert.equal(result.source, 'cache');
+    assert.equal(result.cache.stale, true);
+    assert.equal(result.countries.length, 8);
+});
+
+test('a Redis client fails its commands instead of crashing on a non-RESP reply', async t => {
+    // Something that is not Redis answers with a byte RESP does not know
+    const bogus = net.createServer(socket => socket.on('data', () => socket.write('?\r\n')));
+    await new Promise(resolve => bogus.listen(0, '127.0.0.1', resolve));
+    t.after(() => bogus.close());
+
+    const client = createRedisClient(`redis://127.0.0.1:${bogus.address().port}`);
+    await assert.rejects(client.get('a'), /Unexpected reply type "\?"/);
+    await assert.rejects(client.get('a'), /Unexpected reply type/);
+
+    const redis = createRedisServer();
+    await new Promise(resolve => redis.listen(0, '127.0.0.1', resolve));
+    t.after(() => redis.close());
+
+    const working = createRedisClient(`redis://127.0.0.1:${redis.address().port}`);
+    await working.set('a', '1');
+    assert.equal(await working.get('a'), '1');
+    await working.quit();
+});
@@ -0,0 +1,117 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { logs, resetState, mockRates, mockCountries, mockCountriesOk } = require('./helpers');
+const { EXIT_CODES, main } = require('../bin/moneystatus');
+const { setLogWriter } = require('../lib/logger');
+
+test.beforeEach(resetState);
+
+// main() quietens the logger; give it back to the helpers afterwards
+test.after(() => {
+    process.env.LOG_LEVEL = 'debug';
+    setLogWriter(line => logs.push(JSON.parse(line)));
+});
+
+// Run a command line, collecting what it prints
+async function run(...argv) {
+    const stdout = [];
+    const stderr = [];
+    const code = await main(argv, {
+        stdout: { write: text => stdout.push(text) },
+        stderr: { write: text => stderr.push(text) }
+    });
+    return { code, stdout: stdout.join(''), stderr: stderr.join('') };
+}
+
+test('rank prints a table of the countries reached', async () => {
+    mockRates('ok');
+    mockCountriesOk();
+
+    const { code, stdout, stderr } = await run('rank', '1000000', 'USD');
+
+    assert.equal(code, EXIT_CODES.OK);
+    assert.equal(stderr, '');
+    assert.match(stdout, /^1,000,000 USD \(1,000,000 USD\) reaches a tier in 6 countries\n/);
+    assert.match(stdout, /Centimillionaire: 1 · Decamillionaire: 1 · Millionaire: 2 · Thousandaire: 2/);
+    assert.match(stdout, /\n1 +Japan +Asia +Centimillionaire +1\.45 +145,000,000 JPY\n/);
+    assert.match(stdout, /Skipped 2: Antarctica \(no currency\), Zimbabwe \(no rate for ZWL\)/);
+});
+
+test('rank passes filters on and prints JSON or CSV', async () => {
+    mockRates('ok');
+    mockCountriesOk();
+
+    const json = await run('rank', '1000000', 'USD', '--region', 'Europe', '--format', 'json');
+    const ranking = JSON.parse(json.stdout);
+    assert.deepEqual(ranking.countries.map(country => country.cca3).sort(), ['CHE', 'DEU']);
+
+    const csv = await run('rank', '1000000', 'USD', '--tier=millionaire', '--format=csv');
+    const lines = csv.stdout.trim().split('\r\n');
+    assert.match(lines[0], /^rank,name,cca2,cca3,/);
+    assert.deepEqual(lines.slice(1).map(line => line.split(',')[3]).sort(), ['PAN', 'USA']);
+});
+
+test('rates are listed against the requested base', async () => {
+    mockRates('ok');
+
+    const { code, stdout } = await run('rates', 'EUR', 'JPY', 'USD', '--format', 'json');
+
+    assert.equal(code, EXIT_CODES.OK);
+    const result = JSON.parse(stdout);
+    assert.equal(result.base, 'EUR');
+    assert.equal(result.provider, 'exchangerate-api');
+    assert.deepEqual(Object.keys(result.rates), ['JPY', 'USD']);
+    assert.equal(result.rates.JPY, 145 / 0.9);
+
+    const table = await run('rates', 'EUR');
+    assert.match(table.stdout, /^1 EUR in 7 currencies · 2024-09-30 \(exchangerate-api\)\n/);
+    assert.match(table.stdout, /\nJPY +161\.1111\n/);
+});
+
+test('country shows the details and what each tier takes', async () => {
+    mockRates('ok');
+    mockCountriesOk();
+
+    const { code, stdout } = await run('country', 'ch', '--wealth', '1000000', '--currency', 'EUR');
+
+    assert.equal(code, EXIT_CODES.OK);
+    assert.match(stdout, /^Switzerland \(CH \/ CHE\)\n/);
+    assert.match(stdout, /Neighbours +Germany\n/);
+    assert.match(stdout, /\nMillionaire +1,058,823\.53 +CHF +no +58,823\.53\n/);
+});
+
+test('the bundled snapshot is used offline, with a note on stderr', async () => {
+    mockRates('ok');
+    ['v3Fields', 'v3', 'v2'].forEach(endpoint => mockCountries(endpoint, 'error'));
+
+    const { code, stdout, stderr } = await run('country', 'JPN', '--format', 'json');
+
+    assert.equal(code, EXIT_CODES.OK);
+    assert.equal(JSON.parse(stdout).source, 'snapshot');
+    assert.match(stderr, /^moneystatus: Countries come from the bundled snapshot of /);
+});
+
+test('failures exit with a code for their kind', async () => {
+    assert.equal((await run()).code, EXIT_CODES.USAGE);
+    assert.equal((await run('convert')).code, EXIT_CODES.USAGE);
+    assert.equal((await run('rank', '5', 'USD', '--bogus')).code, EXIT_CODES.USAGE);
+    assert.equal((await run('rank', '5', 'USD', '--format', 'xml')).code, EXIT_CODES.USAGE);
+    assert.equal((await run('rank', '-5', 'USD')).code, EXIT_CODES.INVALID_INPUT);
+    assert.equal((await run('rank', '5', 'USD', '--limit', '0')).code, EXIT_CODES.INVALID_INPUT);
+
+    mockRates('ok');
+    mockCountriesOk();
+    const missing = await run('country', 'XX');
+    assert.equal(missing.code, EXIT_CODES.NOT_FOUND);
+    assert.equal(missing.stderr, 'moneystatus: No country with code XX\n');
+});
+
+test('rates that cannot be loaded exit as unavailable', async () => {
+    mockRates('timeout');
+
+    const { code, stdout, stderr } = await run('rates', 'EUR');
+
+    assert.equal(code, EXIT_CODES.UNAVAILABLE);
+    assert.equal(stdout, '');
+    assert.match(stderr, /^moneystatus: Exchange rates are temporarily unavailable\nmoneystatus: All exchange rate providers failed/);
+});
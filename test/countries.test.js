@@ -0,0 +1,59 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const { fixture } = require('./helpers');
+const { normalizeCountries, normalizeCountry, findCountry } = require('../lib/countries');
+const { describeCountry } = require('../lib/country-detail');
+const { COUNTRIES_SNAPSHOT_FILE } = require('../lib/data');
+
+const DATE = '2024-09-30';
+const v3 = normalizeCountries(fixture('restcountries-v3.1.json'), DATE);
+const v2 = normalizeCountries(fixture('restcountries-v2.json'), DATE);
+
+// Fields both restcountries versions provide
+function keyFields(country) {
+    const { name, cca2, cca3, currency, currencies, region, population, capital } = country;
+    return { name, cca2, cca3, currency, currencies: currencies.map(c => c.code), region, population, capital };
+}
+
+test('v2 and v3.1 payloads normalise to the same countries', () => {
+    assert.equal(v2.length, v3.length);
+    v3.forEach(country => {
+        assert.deepEqual(keyFields(findCountry(v2, country.cca3)), keyFields(country));
+    });
+});
+
+test('a normalised country lists every currency with the first as primary', () => {
+    const panama = findCountry(v3, 'pa');
+
+    assert.deepEqual(panama.currencies.map(c => c.code), ['PAB', 'USD']);
+    assert.equal(panama.currency, 'PAB');
+    assert.equal(panama.flag, '🇵🇦');
+});
+
+test('territories without a currency keep null currency fields', () => {
+    const antarctica = findCountry(v3, 'ATA');
+
+    assert.equal(antarctica.currency, null);
+    assert.deepEqual(antarctica.currencies, []);
+});
+
+test('records without a usable name are dropped', () => {
+    assert.equal(normalizeCountry(null, DATE), null);
+    assert.equal(normalizeCountry({ cca3: 'XXX' }, DATE), null);
+    assert.equal(normalizeCountries([{ name: {} }, ...fixture('restcountries-v3.1.json')], DATE).length, v3.length);
+});
+
+test('the bundled snapshot has land borders, so country pages list neighbours offline', () => {
+    const records = JSON.parse(fs.readFileSync(COUNTRIES_SNAPSHOT_FILE, 'utf8')).countries;
+    const codes = new Set(records.map(record => record.cca3));
+
+    assert.ok(records.every(record => Array.isArray(record.borders)));
+    assert.ok(records.filter(record => record.borders.length > 0).length > 150);
+    records.forEach(record => record.borders.forEach(code => assert.ok(codes.has(code), `${record.cca3} borders ${code}`)));
+
+    const countries = normalizeCountries(records, DATE);
+    const germany = describeCountry(findCountry(countries, 'DEU'), { countries, rates: { USD: 1, EUR: 0.9 } });
+    assert.ok(germany.country.neighbours.some(neighbour => neighbour.cca3 === 'FRA'));
+    assert.deepEqual(describeCountry(findCountry(countries, 'JPN'), { countries, rates: { USD: 1, JPY: 145 } }).country.neighbours, []);
+});
@@ -0,0 +1,186 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { JSDOM } = require('jsdom');
+const { resetState, mockRates, mockCountries, mockCountriesOk, listen } = require('./helpers');
+const app = require('../server');
+
+const PAGE = fs.readFileSync(path.join(__dirname, '..', 'public', 'index.html'), 'utf8');
+const LOCALES_DIR = path.join(__dirname, '..', 'public', 'locales');
+const fixtureRates = require('./fixtures/exchangerate-api-latest-usd.json').rates;
+
+let server;
+
+test.before(async () => {
+    server = await listen(app);
+});
+test.after(() => server.close());
+
+// Wait until `check()` is truthy, polling every 10ms
+async function waitFor(check, what, timeout = 2000) {
+    const until = Date.now() + timeout;
+    while (!check()) {
+        if (Date.now() > until) {
+            throw new Error(`Timed out waiting for ${what}`);
+        }
+        await new Promise(resolve => setTimeout(resolve, 10));
+    }
+}
+
+// Load public/index.html in a headless DOM with the page's requests served
+// by the in-process app, and wait for its startup requests to finish
+async function openPage(t) {
+    let pending = 0;
+    const dom = new JSDOM(PAGE, {
+        url: 'http://localhost/',
+        runScripts: 'dangerously',
+        beforeParse(window) {
+            window.matchMedia = () => ({ matches: false, addEventListener() {} });
+            window.fetch = async (url, options) => {
+                pending++;
+                try {
+                    return await fetch(new URL(url, server.url), options);
+                } finally {
+                    pending--;
+                }
+            };
+        }
+    });
+    t.after(() => dom.window.close());
+
+    const { document } = dom.window;
+    await waitFor(() => document.documentElement.lang === 'en' && pending === 0 &&
+        document.getElementById('apiStatus').textContent !== 'Connecting...', 'the page to start');
+    return dom.window;
+}
+
+async function fetchRanking(body) {
+    const response = await fetch(`${server.url}/api/calculate-ranking`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+    });
+    return response.json();
+}
+
+test.beforeEach(() => {
+    resetState();
+    mockRates('ok');
+    mockCountriesOk();
+});
+
+test('displayResults() renders the summary, tier counts and country cards', async t => {
+    const window = await openPage(t);
+    const data = await fetchRanking({ wealth: 1000000, currency: 'USD' });
+
+    window.displayResults(data);
+    const results = window.document.getElementById('results');
+
+    assert.equal(results.querySelector('.summary h2').textContent, '🎉 You Qualify in 6 Countries!');
+    const stats = [...results.querySelectorAll('.summary .stat')].map(stat => stat.textContent.replace(/\s+/g, ' ').trim());
+    assert.ok(stats.some(stat => /^2 .*Millionaire/.test(stat)), stats.join(' | '));
+    assert.ok(stats.some(stat => /^1 .*Centimillionaire/.test(stat)), stats.join(' | '));
+
+    const cards = [...results.querySelectorAll('.country-card')];
+    assert.equal(cards.length, 6);
+    assert.equal(cards[0].querySelector('.country-name').textContent.trim(), 'Japan');
+    assert.equal(cards[0].querySelector('.rank-badge').classList.contains('centimillionaire'), true);
+});
+
+test('displayResults() lists the countries it could not rank', async t => {
+    const window = await openPage(t);
+    const data = await fetchRanking({ wealth: 1000000, currency: 'USD' });
+
+    window.displayResults(data);
+    const skipped = window.document.querySelector('.skipped-info').textContent.replace(/\s+/g, ' ');
+
+    assert.match(skipped, /Antarctica \(no currency\)/i);
+    assert.match(skipped, /Zimbabwe \(no exchange rate for ZWL\)/i);
+});
+
+test('displayResults() explains when no tier is reached', async t => {
+    const window = await openPage(t);
+    const data = await fetchRanking({ wealth: 5, currency: 'USD' });
+
+    window.displayResults(data);
+    const results = window.document.getElementById('results');
+
+    assert.ok(results.querySelector('.no-results'));
+    assert.equal(results.querySelectorAll('.country-card').length, 0);
+});
+
+test('prices from the bundled asset file come with a notice', async t => {
+    const window = await openPage(t);
+    const data = await fetchRanking({ wealth: 1000, currency: 'XAU' });
+
+    window.eval(`currentResults = ${JSON.stringify(data)}`);
+    window.renderRateInfo();
+
+    assert.match(window.document.getElementById('rateInfo').textContent, /XAU: bundled prices from .*2024, not current market prices/);
+});
+
+test('the status badge shows stale data when countries come from the snapshot', async t => {
+    resetState();
+    mockRates('ok');
+    ['v3Fields', 'v3', 'v2'].forEach(endpoint => mockCountries(endpoint, 'error'));
+
+    const window = await openPage(t);
+
+    assert.match(window.document.getElementById('apiStatus').textContent, /stale/i);
+});
+
+test('live rate updates highlight the countries gained, lost or moved since the page loaded', async t => {
+    const window = await openPage(t);
+    const data = await fetchRanking({ wealth: 1000000, currency: 'USD' });
+    const baseline = { fetchedAt: '2024-09-30T00:00:00.000Z', rates: { ...fixtureRates } };
+    const latest = {
+        fetchedAt: '2024-09-30T01:00:00.000Z',
+        rates: { ...fixtureRates, ZWL: 10, CHF: 0.0005, JPY: 60 }
+    };
+
+    // What checkWealth() sets before the ranking request
+    window.eval('rankingRequest = { wealth: 1000000, currency: "USD", ppp: false }');
+    window.eval(`currentResults = ${JSON.stringify(data)}`);
+    window.applyLiveRates(baseline);
+    window.displayResults(data);
+    assert.equal(window.document.querySelector('.live-changes'), null);
+
+    window.applyLiveRates(latest);
+    const results = window.document.getElementById('results');
+    const panel = results.querySelector('.live-changes').textContent.replace(/\s+/g, ' ');
+    const card = cca3 => results.querySelector(`.country-card[data-cca3="${cca3}"]`);
+
+    assert.match(panel, /Gained 1 country: .*Zimbabwe \(Decamillionaire\)/);
+    assert.match(panel, /Lost 1 country: .*Switzerland \(Thousandaire\)/);
+    assert.match(panel, /1 country changed tier: .*Japan \(Centimillionaire → Decamillionaire\)/);
+    assert.ok(card('CHE').classList.contains('live-lost'));
+    assert.ok(card('JPN').classList.contains('live-moved'));
+    assert.ok(card('JPN').querySelector('.rank-badge').classList.contains('decamillionaire'));
+    assert.match(card('JPN').textContent, /Was Centimillionaire when the page loaded/);
+});
+
+test('every message catalogue has the same keys as en.json', () => {
+    const keys = file => Object.keys(JSON.parse(fs.readFileSync(path.join(LOCALES_DIR, file), 'utf8'))).sort();
+    const english = keys('en.json');
+
+    fs.readdirSync(LOCALES_DIR).filter(file => file !== 'en.json').forEach(file => {
+        assert.deepEqual(keys(file), english, file);
+    });
+});
+
+test('holdings are escaped when rendered, and 0 is kept', async t => {
+    const window = await openPage(t);
+
+    assert.equal(window.escapeHtml(0), '0');
+    assert.equal(window.escapeHtml(null), '');
+
+    // Holdings come back from localStorage as they were saved
+    window.eval(`holdings = [{ label: 0, amount: '1" autofocus onfocus="alert(1)', currency: 'USD', category: 'cash' }]`);
+    window.renderHoldings();
+    const [label, amount] = window.document.querySelectorAll('#holdingsList input');
+
+    assert.equal(label.getAttribute('value'), '0');
+    assert.equal(amount.getAttribute('value'), '1" autofocus onfocus="alert(1)');
+    assert.equal(amount.hasAttribute('onfocus'), false);
+});
@@ -0,0 +1,194 @@
+// Shared setup for the tests. Requiring this first configures the
+// environment for offline runs: exchange rates come only from
+// exchangerate-api (served from fixtures by nock), caches live in memory,
+// rate limits are off and logs are collected instead of printed.
+
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const nock = require('nock');
+
+Object.assign(process.env, {
+    RATE_PROVIDERS: 'exchangerate-api',
+    RATE_PROVIDER_TIMEOUT: '500',
+    ASSET_PRICE_PROVIDERS: 'file',
+    COUNTRIES_TIMEOUT: '500',
+    CACHE_STORE: 'memory',
+    RATE_LIMIT_STORE: 'memory',
+    RATE_LIMIT_IP: '0',
+    RATE_HISTORY_FILE: path.join(os.tmpdir(), `wealth-ranker-test-history-${process.pid}.json`),
+    LOG_LEVEL: 'debug'
+});
+delete process.env.REDIS_URL;
+delete process.env.WEALTH_TIERS;
+delete process.env.API_KEYS;
+
+const { setCacheStore } = require('../lib/data');
+const { createMemoryStore } = require('../lib/cache');
+const { setLogWriter } = require('../lib/logger');
+const { resetMetrics } = require('../lib/metrics');
+const { configureProtection } = require('../lib/security');
+
+const EXCHANGE_RATE_API = 'https://api.exchangerate-api.com';
+const RATES_PATH = '/v4/latest/USD';
+const RESTCOUNTRIES = 'https://restcountries.com';
+
+// The three list endpoints in the order lib/data.js tries them, and the
+// borders endpoint used with the first two
+const COUNTRY_PATHS = {
+    v3Fields: '/v3.1/all?fields=name,cca2,cca3,flags,currencies,region,subregion,population,capital,languages',
+    v3: '/v3.1/all',
+    v2: '/v2/all?fields=name,alpha2Code,alpha3Code,flags,currencies,region,subregion,population,capital,languages,borders',
+    borders: '/v3.1/all?fields=cca3,borders'
+};
+
+// Log lines written since the last resetState(), parsed
+const logs = [];
+setLogWriter(line => logs.push(JSON.parse(line)));
+
+// Snapshots recorded by the tests are thrown away
+process.on('exit', () => fs.rmSync(process.env.RATE_HISTORY_FILE, { force: true }));
+
+nock.disableNetConnect();
+nock.enableNetConnect('127.0.0.1');
+
+function fixture(name) {
+    return JSON.parse(fs.readFileSync(path.join(__dirname, 'fixtures', name), 'utf8'));
+}
+
+// Empty caches, metrics, logs, rate limits and upstream mocks
+function resetState() {
+    nock.cleanAll();
+    setCacheStore(createMemoryStore());
+    configureProtection();
+    resetMetrics();
+    logs.length = 0;
+}
+
+// Mock exchangerate-api: 'ok' serves the fixture, 'error' a 500, 'timeout'
+// a reply slower than RATE_PROVIDER_TIMEOUT and 'malformed' an HTML page.
+// `rates` replaces some of the fixture's rates.
+function mockRates(mode = 'ok', { times = 1, rates = {} } = {}) {
+    return mockUpstream(nock(EXCHANGE_RATE_API).get(RATES_PATH).times(times), mode, () => {
+        const body = fixture('exchangerate-api-latest-usd.json');
+        return { ...body, rates: { ...body.rates, ...rates } };
+    });
+}
+
+// Mock one restcountries endpoint (a COUNTRY_PATHS key) the same way
+function mockCountries(endpoint, mode = 'ok', { times = 1 } = {}) {
+    const fixtures = {
+        v3Fields: 'restcountries-v3.1.json',
+        v3: 'restcountries-v3.1.json',
+        v2: 'restcountries-v2.json',
+        borders: 'restcountries-v3.1-borders.json'
+    };
+    return mockUpstream(nock(RESTCOUNTRIES).get(COUNTRY_PATHS[endpoint]).times(times), mode,
+        () => fixture(fixtures[endpoint]));
+}
+
+function mockUpstream(interceptor, mode, body) {
+    switch (mode) {
+        case 'ok':
+            return interceptor.reply(200, body);
+        case 'error':
+            return interceptor.reply(500, { error: 'Internal Server Error' });
+        case 'timeout':
+            return interceptor.delay(2000).reply(200, body);
+        case 'malformed':
+            return interceptor.reply(200, '<html><body>Service temporarily unavailable</body></html>', {
+                'Content-Type': 'text/html'
+            });
+        default:
+            throw new Error(`Unknown mock mode ${mode}`);
+    }
+}
+
+// Mock the first restcountries endpoint and its borders request
+function mockCountriesOk() {
+    mockCountries('v3Fields');
+    mockCountries('borders');
+}
+
+// Listen on a free local port. Resolves to { url, close }.
+function listen(handler) {
+    const server = http.createServer(handler);
+    return new Promise(resolve => {
+        server.listen(0, '127.0.0.1', () => {
+            resolve({
+                url: `http://127.0.0.1:${server.address().port}`,
+                close: () => new Promise(done => {
+                    server.closeAllConnections();
+                    server.close(done);
+                })
+            });
+        });
+    });
+}
+
+// Serve a Vercel function the way its Node.js runtime calls it: req.query
+// (including dynamic path segments) and req.body parsed, and res.status(),
+// res.json() and res.send() added
+function vercelHandler(handler, params = {}) {
+    return async (req, res) => {
+        const url = new URL(req.url, 'http://localhost');
+        req.query = { ...Object.fromEntries(url.searchParams), ...params };
+
+        const chunks = [];
+        for await (const chunk of req) {
+            chunks.push(chunk);
+        }
+        const raw = Buffer.concat(chunks).toString('utf8');
+        req.body = raw && /json/.test(req.headers['content-type'] || '') ? JSON.parse(raw) : raw || undefined;
+
+        res.status = code => {
+            res.statusCode = code;
+            return res;
+        };
+        res.send = body => {
+            if (typeof body === 'object' && !Buffer.isBuffer(body)) {
+                return res.json(body);
+            }
+            if (!res.getHeader('Content-Type')) {
+                res.setHeader('Content-Type', 'text/html; charset=utf-8');
+            }
+            res.end(body);
+            return res;
+        };
+        res.json = body => {
+            if (!res.getHeader('Content-Type')) {
+                res.setHeader('Content-Type', 'application/json; charset=utf-8');
+            }
+            res.end(JSON.stringify(body));
+            return res;
+        };
+
+        await handler(req, res);
+    };
+}
+
+// Replace Date.now with a clock the test moves by hand. Returns
+// { advance(ms) }; the mock is undone when the test ends.
+function mockClock(t, start = Date.now()) {
+    let now = start;
+    t.mock.method(Date, 'now', () => now);
+    return {
+        advance: ms => {
+            now += ms;
+        }
+    };
+}
+
+module.exports = {
+    COUNTRY_PATHS,
+    logs,
+    fixture,
+    resetState,
+    mockRates,
+    mockCountries,
+    mockCountriesOk,
+    listen,
+    vercelHandler,
+    mockClock
+};
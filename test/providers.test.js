@@ -0,0 +1,79 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { logs, resetState, mockRates } = require('./helpers');
+const { fetchRates, getProviderChain } = require('../lib/rate-providers');
+const { renderMetrics } = require('../lib/metrics');
+
+test.beforeEach(resetState);
+
+test('exchangerate-api rates are returned against USD', async () => {
+    mockRates('ok');
+
+    const result = await fetchRates();
+
+    assert.equal(result.provider, 'exchangerate-api');
+    assert.equal(result.base, 'USD');
+    assert.equal(result.date, '2024-09-30');
+    assert.equal(result.rates.JPY, 145);
+    assert.match(renderMetrics(), /provider="exchangerate-api",outcome="success"} 1/);
+});
+
+for (const mode of ['error', 'timeout', 'malformed']) {
+    test(`exchangerate-api failing with a ${mode} reply falls back to the next provider`, async () => {
+        mockRates(mode);
+
+        const result = await fetchRates({ ...process.env, RATE_PROVIDERS: 'exchangerate-api,file' });
+
+        assert.equal(result.provider, 'file');
+        assert.ok(result.rates.EUR > 0);
+        assert.ok(logs.some(line => line.msg === 'Rate provider failed' && line.provider === 'exchangerate-api'));
+        assert.match(renderMetrics(), /provider="exchangerate-api",outcome="failure"} 1/);
+        assert.match(renderMetrics(), /provider="file",outcome="success"} 1/);
+    });
+}
+
+test('unusable rate values are dropped, and too few usable rates fall back', async () => {
+    mockRates('ok', { rates: { EUR: null, JPY: 'abc' } });
+
+    const cleaned = await fetchRates();
+    assert.equal(cleaned.provider, 'exchangerate-api');
+    assert.equal(cleaned.rates.INR, 83.9);
+    assert.ok(!('EUR' in cleaned.rates) && !('JPY' in cleaned.rates));
+    assert.ok(logs.some(line => line.msg === 'Dropped unusable exchange rates' && line.currencies.join() === 'EUR,JPY'));
+
+    mockRates('ok', { rates: { EUR: null, JPY: 'abc', INR: 0, CHF: -1 } });
+    const fallback = await fetchRates({ ...process.env, RATE_PROVIDERS: 'exchangerate-api,file' });
+    assert.equal(fallback.provider, 'file');
+    assert.ok(logs.some(line => line.msg === 'Rate provider failed' && /returned only 4 usable rates/.test(line.error)));
+});
+
+test('rates on another base are rejected without a usable USD rate', async t => {
+    const file = path.join(os.tmpdir(), `wealth-ranker-test-rates-${process.pid}.json`);
+    t.after(() => fs.rmSync(file, { force: true }));
+    fs.writeFileSync(file, JSON.stringify({ base: 'EUR', rates: { USD: 0, JPY: 160, GBP: 0.84, CHF: 0.94, INR: 92 } }));
+
+    await assert.rejects(
+        fetchRates({ ...process.env, RATE_PROVIDERS: 'file', RATES_FILE: file }),
+        /file: file returned no usable USD rate/
+    );
+});
+
+test('the error names every provider when all of them fail', async () => {
+    mockRates('malformed');
+
+    await assert.rejects(
+        fetchRates({ ...process.env, RATE_PROVIDERS: 'exchangerate-api,file', RATES_FILE: '/nonexistent/rates.json' }),
+        /All exchange rate providers failed \(exchangerate-api: exchangerate-api returned no rates; file: .*ENOENT/
+    );
+});
+
+test('unknown providers are rejected before any request', async () => {
+    await assert.rejects(fetchRates({ RATE_PROVIDERS: 'exchangerate-api,nope' }), /Unknown exchange rate provider: nope/);
+});
+
+test('the static file provider only runs when RATE_PROVIDERS lists it', () => {
+    assert.deepEqual(getProviderChain({}).map(provider => provider.name), ['exchangerate-api', 'ecb']);
+});
@@ -0,0 +1,145 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { resetState, listen, vercelHandler } = require('./helpers');
+const { configureProtection, protect } = require('../lib/security');
+const app = require('../server');
+
+test.beforeEach(resetState);
+
+// A protected handler answering { ok, apiKey }, served as a Vercel function
+const echo = protect((req, res) => res.json({ ok: true, apiKey: req.apiKey }), { route: '/test' });
+
+async function serve(t, handler = vercelHandler(echo)) {
+    const server = await listen(handler);
+    t.after(() => server.close());
+    return server;
+}
+
+function protectWith(settings) {
+    configureProtection({ ...process.env, ...settings });
+}
+
+async function statuses(url, headersFor, count) {
+    const results = [];
+    for (let i = 0; i < count; i++) {
+        results.push((await fetch(url, { headers: headersFor(i) })).status);
+    }
+    return results;
+}
+
+test('anonymous clients are limited per address', async t => {
+    protectWith({ RATE_LIMIT_IP: '2' });
+    const server = await serve(t);
+
+    const response = await fetch(server.url);
+    assert.equal(response.headers.get('RateLimit-Limit'), '2');
+    assert.equal(response.headers.get('RateLimit-Remaining'), '1');
+
+    assert.deepEqual(await statuses(server.url, () => ({}), 2), [200, 429]);
+    const limited = await fetch(server.url);
+    assert.ok(Number(limited.headers.get('Retry-After')) >= 1);
+    assert.equal((await limited.json()).code, 'RATE_LIMITED');
+});
+
+test('a client cannot pick its own address with X-Forwarded-For', async t => {
+    const server = await serve(t);
+    const rotating = i => ({ 'X-Forwarded-For': `203.0.113.${i}` });
+
+    protectWith({ RATE_LIMIT_IP: '2' });
+    assert.deepEqual(await statuses(server.url, rotating, 3), [200, 200, 429]);
+
+    // Behind one proxy only the entry it appended counts
+    protectWith({ RATE_LIMIT_IP: '2', TRUST_PROXY: 'true' });
+    const spoofed = i => ({ 'X-Forwarded-For': `203.0.113.${i}, 198.51.100.7` });
+    assert.deepEqual(await statuses(server.url, spoofed, 3), [200, 200, 429]);
+    assert.equal((await fetch(server.url, { headers: { 'X-Forwarded-For': '198.51.100.8' } })).status, 200);
+
+    // Two proxies: the client is the second entry from the end
+    protectWith({ RATE_LIMIT_IP: '2', TRUST_PROXY: '2' });
+    const twoHops = i => ({ 'X-Forwarded-For': `203.0.113.${i}, 198.51.100.9, 10.0.0.1` });
+    assert.deepEqual(await statuses(server.url, twoHops, 3), [200, 200, 429]);
+});
+
+test('on Vercel the address comes from X-Real-IP', async t => {
+    protectWith({ RATE_LIMIT_IP: '1', VERCEL: '1' });
+    const server = await serve(t);
+    const headers = i => ({ 'X-Real-IP': '198.51.100.10', 'X-Forwarded-For': `203.0.113.${i}` });
+
+    assert.deepEqual(await statuses(server.url, headers, 2), [200, 429]);
+    assert.equal((await fetch(server.url, { headers: { 'X-Real-IP': '198.51.100.11' } })).status, 200);
+});
+
+test('API keys get their own limit and unknown keys are rejected', async t => {
+    protectWith({ RATE_LIMIT_IP: '1', API_KEYS: 'reports:secret-one:3,partner:secret-two' });
+    const server = await serve(t);
+
+    const response = await fetch(server.url, { headers: { 'X-API-Key': 'secret-one' } });
+    assert.equal(response.headers.get('RateLimit-Limit'), '3');
+    assert.equal((await response.json()).apiKey, 'reports');
+
+    const bearer = await fetch(server.url, { headers: { Authorization: 'Bearer secret-two' } });
+    assert.equal(bearer.headers.get('RateLimit-Limit'), '1200');
+    assert.deepEqual(await bearer.json(), { ok: true, apiKey: 'partner' });
+
+    assert.deepEqual(await statuses(server.url, () => ({ 'X-API-Key': 'secret-one' }), 3), [200, 200, 429]);
+
+    const unknown = await fetch(server.url, { headers: { 'X-API-Key': 'guess' } });
+    assert.equal(unknown.status, 401);
+    assert.equal((await unknown.json()).code, 'UNAUTHORIZED');
+});
+
+test('only the origins in CORS_ORIGINS get CORS headers', async t => {
+    protectWith({ CORS_ORIGINS: 'https://example.com/' });
+    const server = await serve(t);
+
+    const allowed = await fetch(server.url, { headers: { Origin: 'https://example.com' } });
+    assert.equal(allowed.headers.get('Access-Control-Allow-Origin'), 'https://example.com');
+    assert.match(allowed.headers.get('Access-Control-Expose-Headers'), /RateLimit-Remaining/);
+
+    const other = await fetch(server.url, { headers: { Origin: 'https://evil.example' } });
+    assert.equal(other.headers.get('Access-Control-Allow-Origin'), null);
+    assert.equal(other.headers.get('Vary'), 'Origin');
+
+    const preflight = await fetch(server.url, { method: 'OPTIONS', headers: { Origin: 'https://example.com' } });
+    assert.equal(preflight.status, 204);
+    assert.match(preflight.headers.get('Access-Control-Allow-Headers'), /X-API-Key/);
+});
+
+test('bodies over BODY_LIMIT are rejected, with or without Content-Length', async t => {
+    protectWith({ BODY_LIMIT: '100' });
+    const server = await serve(t);
+    const body = JSON.stringify({ padding: 'x'.repeat(200) });
+
+    const sized = await fetch(server.url, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body });
+    assert.equal(sized.status, 413);
+
+    // A streamed request body is sent chunked, without Content-Length
+    const chunked = await fetch(server.url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: new Blob([body]).stream(),
+        duplex: 'half'
+    });
+    assert.equal(chunked.status, 413);
+    assert.deepEqual(await chunked.json(), {
+        error: 'Request body is larger than 100 bytes',
+        code: 'PAYLOAD_TOO_LARGE',
+        details: { limit: 100 }
+    });
+
+    const small = await fetch(server.url, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: '{"a":1}' });
+    assert.equal(small.status, 200);
+});
+
+test('the Express app applies BODY_LIMIT to chunked bodies', async t => {
+    const server = await serve(t, app);
+    const chunked = await fetch(`${server.url}/api/calculate-ranking`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: new Blob([JSON.stringify({ padding: 'x'.repeat(200000) })]).stream(),
+        duplex: 'half'
+    });
+
+    assert.equal(chunked.status, 413);
+    assert.equal((await chunked.json()).code, 'PAYLOAD_TOO_LARGE');
+});
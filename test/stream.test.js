@@ -0,0 +1,197 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { resetState, mockRates, mockClock, listen } = require('./helpers');
+const { CACHE_TTLS, loadExchangeRates } = require('../lib/data');
+const { countStreamClients } = require('../lib/rate-stream');
+const { configureProtection } = require('../lib/security');
+const app = require('../server');
+
+let server;
+
+test.before(async () => {
+    server = await listen(app);
+});
+test.after(() => server.close());
+test.beforeEach(resetState);
+
+// Open the rate stream. Resolves to { response, next(), events, close() }
+// once the headers are in; next() resolves to the following event
+// ({ id, event, data }) and `events` holds those received but not taken yet.
+function openStream(headers = {}) {
+    return new Promise((resolve, reject) => {
+        const req = http.get(`${server.url}/api/exchange-rates/stream`, { headers }, response => {
+            const events = [];
+            const waiting = [];
+            let buffer = '';
+
+            response.setEncoding('utf8');
+            response.on('data', chunk => {
+                buffer += chunk;
+                let end;
+                while ((end = buffer.indexOf('\n\n')) !== -1) {
+                    const event = {};
+                    buffer.slice(0, end).split('\n').forEach(line => {
+                        const [, field, value] = /^(\w+): ?(.*)$/.exec(line) || [];
+                        if (field) event[field] = value;
+                    });
+                    buffer = buffer.slice(end + 2);
+                    if (event.event) {
+                        events.push(event);
+                    }
+                }
+                while (events.length > 0 && waiting.length > 0) {
+                    waiting.shift()(events.shift());
+                }
+            });
+
+            resolve({
+                response,
+                next: () => new Promise(done => {
+                    if (events.length > 0) done(events.shift());
+                    else waiting.push(done);
+                }),
+                events: events,
+                close: () => new Promise(done => {
+                    response.once('close', done);
+                    req.destroy();
+                })
+            });
+        });
+        req.on('error', reject);
+    });
+}
+
+// Wait until `check()` is truthy, polling every 10ms
+async function waitFor(check, timeout = 2000) {
+    const until = Date.now() + timeout;
+    while (!check()) {
+        if (Date.now() > until) {
+            throw new Error('Timed out waiting for the stream clients');
+        }
+        await new Promise(resolve => setTimeout(resolve, 10));
+    }
+}
+
+test('the stream starts with the current rates', async () => {
+    mockRates('ok');
+
+    const stream = await openStream();
+    const event = await stream.next();
+    const payload = JSON.parse(event.data);
+
+    assert.equal(stream.response.statusCode, 200);
+    assert.match(stream.response.headers['content-type'], /^text\/event-stream/);
+    assert.equal(event.event, 'rates');
+    assert.equal(event.id, payload.fetchedAt);
+    assert.equal(payload.provider, 'exchangerate-api');
+    assert.equal(payload.date, '2024-09-30');
+    assert.equal(payload.rates.JPY, 145);
+
+    await stream.close();
+});
+
+test('a cache refresh pushes the new rates to every client', async t => {
+    const clock = mockClock(t);
+    mockRates('ok');
+
+    const first = await openStream();
+    const second = await openStream();
+    const initial = await first.next();
+    await second.next();
+    assert.equal(countStreamClients(), 2);
+
+    // The expired entry is served stale while the refresh runs
+    mockRates('ok', { rates: { JPY: 150 } });
+    clock.advance(CACHE_TTLS.exchangeRates + 1);
+    await loadExchangeRates();
+
+    const [update, sameUpdate] = await Promise.all([first.next(), second.next()]);
+    assert.equal(JSON.parse(update.data).rates.JPY, 150);
+    assert.ok(update.id > initial.id);
+    assert.deepEqual(sameUpdate, update);
+
+    await first.close();
+    await second.close();
+    await waitFor(() => countStreamClients() === 0);
+});
+
+test('a reconnecting client is not sent the snapshot it already has', async () => {
+    mockRates('ok');
+
+    const stream = await openStream();
+    const { id } = await stream.next();
+    await stream.close();
+
+    const again = await openStream({ 'Last-Event-ID': id });
+    await new Promise(resolve => setTimeout(resolve, 50));
+    assert.equal(again.events.length, 0);
+    await again.close();
+});
+
+test('the stream fails with a JSON error when no rates can be loaded', async () => {
+    mockRates('error');
+
+    const response = await fetch(`${server.url}/api/exchange-rates/stream`);
+
+    assert.equal(response.status, 503);
+    assert.equal((await response.json()).code, 'UPSTREAM_UNAVAILABLE');
+});
+
+// Set stream limits for one test
+function limitStreams(t, settings) {
+    t.after(() => Object.keys(settings).forEach(name => delete process.env[name]));
+    Object.assign(process.env, settings);
+}
+
+test('each client may only hold a few streams open', async t => {
+    limitStreams(t, { RATE_STREAM_MAX_PER_CLIENT: '2' });
+    mockRates('ok');
+    await waitFor(() => countStreamClients() === 0);
+
+    const first = await openStream();
+    const second = await openStream();
+    const refused = await fetch(`${server.url}/api/exchange-rates/stream`);
+    assert.equal(refused.status, 429);
+    assert.deepEqual((await refused.json()).details, { limit: 2, scope: 'client' });
+
+    // Another API key is another client
+    configureProtection({ ...process.env, API_KEYS: 'partner:secret' });
+    const keyed = await openStream({ 'X-API-Key': 'secret' });
+    assert.equal(keyed.response.statusCode, 200);
+
+    await first.close();
+    await waitFor(() => countStreamClients() === 2);
+    const third = await openStream();
+    assert.equal(third.response.statusCode, 200);
+
+    await Promise.all([second.close(), keyed.close(), third.close()]);
+    await waitFor(() => countStreamClients() === 0);
+});
+
+test('the server holds at most RATE_STREAM_MAX streams', async t => {
+    limitStreams(t, { RATE_STREAM_MAX: '1' });
+    mockRates('ok');
+    await waitFor(() => countStreamClients() === 0);
+
+    const stream = await openStream();
+    const refused = await fetch(`${server.url}/api/exchange-rates/stream`);
+    assert.equal(refused.status, 429);
+    assert.deepEqual((await refused.json()).details, { limit: 1, scope: 'server' });
+
+    await stream.close();
+    await waitFor(() => countStreamClients() === 0);
+});
+
+test('a stream that failed to open gives its place back', async t => {
+    limitStreams(t, { RATE_STREAM_MAX_PER_CLIENT: '1' });
+    mockRates('error');
+
+    assert.equal((await fetch(`${server.url}/api/exchange-rates/stream`)).status, 503);
+
+    mockRates('ok');
+    const stream = await openStream();
+    assert.equal(stream.response.statusCode, 200);
+    await stream.close();
+    await waitFor(() => countStreamClients() === 0);
+});
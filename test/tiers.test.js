@@ -0,0 +1,129 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { fixture, logs, resetState } = require('./helpers');
+const { DEFAULT_TIERS, classifyTier, envTiers, normalizeTiers, resolveTiers } = require('../lib/tiers');
+const { rankCountries, buildRanking } = require('../lib/ranking');
+const { normalizeCountries } = require('../lib/countries');
+
+const countries = normalizeCountries(fixture('restcountries-v3.1.json'), '2024-09-30');
+const rates = fixture('exchangerate-api-latest-usd.json').rates;
+
+test('a tier applies from exactly its threshold', () => {
+    DEFAULT_TIERS.forEach(tier => {
+        assert.equal(classifyTier(tier.threshold).id, tier.id);
+    });
+});
+
+test('an amount just below a threshold stays in the tier underneath', () => {
+    DEFAULT_TIERS.slice(1).forEach((tier, i) => {
+        assert.equal(classifyTier(tier.threshold - 0.01).id, DEFAULT_TIERS[i].id);
+    });
+});
+
+test('amounts below the lowest tier reach none', () => {
+    assert.equal(classifyTier(999.99), null);
+    assert.equal(classifyTier(0), null);
+    assert.equal(classifyTier(-5), null);
+});
+
+test('amounts past the highest threshold keep the highest tier', () => {
+    assert.equal(classifyTier(1e18).id, 'trillionaire');
+    assert.equal(classifyTier(Infinity).id, 'trillionaire');
+});
+
+test('custom tiers are sorted and classified by threshold', () => {
+    const tiers = normalizeTiers([
+        { id: 'rich', threshold: 500 },
+        { id: 'comfortable', name: 'Comfortable', threshold: 50, badge: '🙂' }
+    ]);
+
+    assert.deepEqual(tiers.map(tier => tier.id), ['comfortable', 'rich']);
+    assert.equal(tiers[1].name, 'rich');
+    assert.equal(classifyTier(49.99, tiers), null);
+    assert.equal(classifyTier(50, tiers).id, 'comfortable');
+    assert.equal(classifyTier(500, tiers).id, 'rich');
+});
+
+test('invalid tier sets are rejected', () => {
+    assert.throws(() => normalizeTiers([]), /non-empty array/);
+    assert.throws(() => normalizeTiers([{ threshold: 5 }]), /string id/);
+    assert.throws(() => normalizeTiers([{ id: 'a', threshold: 0 }]), /positive threshold/);
+    assert.throws(() => normalizeTiers([{ id: 'a', threshold: 5 }, { id: 'a', threshold: 6 }]), /Duplicate tier id/);
+});
+
+test('WEALTH_TIERS replaces the defaults when a request has none', t => {
+    t.after(() => {
+        delete process.env.WEALTH_TIERS;
+    });
+    process.env.WEALTH_TIERS = JSON.stringify([{ id: 'solvent', threshold: 1 }]);
+
+    assert.deepEqual(resolveTiers().map(tier => tier.id), ['solvent']);
+    assert.deepEqual(resolveTiers([{ id: 'own', threshold: 2 }]).map(tier => tier.id), ['own']);
+});
+
+test('a malformed WEALTH_TIERS fails with a typed error naming the variable', t => {
+    resetState();
+    t.after(() => {
+        delete process.env.WEALTH_TIERS;
+    });
+
+    assert.equal(envTiers({}), null);
+    assert.throws(() => envTiers({ WEALTH_TIERS: '[{"id":' }), /^Error: WEALTH_TIERS is not a valid tier set: /);
+    assert.throws(() => envTiers({ WEALTH_TIERS: '{}' }), /WEALTH_TIERS is not a valid tier set: Tiers must be a non-empty array/);
+
+    process.env.WEALTH_TIERS = '[{"id":"rich","threshold":-1}]';
+    assert.throws(() => resolveTiers(), error => {
+        assert.equal(error.code, 'INTERNAL_ERROR');
+        assert.equal(error.message, 'The server tier configuration (WEALTH_TIERS) is invalid');
+        return true;
+    });
+    assert.ok(logs.some(line => line.msg === 'Invalid tier configuration' && /positive threshold/.test(line.reason)));
+
+    // Tiers sent with the request do not depend on the env setting
+    assert.deepEqual(resolveTiers([{ id: 'own', threshold: 2 }]).map(tier => tier.id), ['own']);
+});
+
+test('a country reaches a tier when the local amount equals its threshold', () => {
+    const japan = countries.filter(country => country.cca3 === 'JPN');
+
+    const exact = rankCountries(1000000, 'JPY', rates, japan).results[0];
+    assert.equal(exact.tier, 'millionaire');
+    assert.equal(exact.tierMultiple, 1);
+
+    const below = rankCountries(999999.99, 'JPY', rates, japan).results[0];
+    assert.equal(below.tier, 'thousandaire');
+});
+
+test('countries without a currency or a rate are skipped with the reason', () => {
+    const { results, skipped } = rankCountries(5000000, 'USD', rates, countries);
+
+    assert.deepEqual(skipped.map(country => [country.cca3, country.reason]).sort(), [
+        ['ATA', 'no-currency'],
+        ['ZWE', 'no-rate']
+    ]);
+    assert.equal(results.length, countries.length - 2);
+});
+
+test('a country with several currencies is ranked by the one giving the highest tier', () => {
+    const panama = countries.filter(country => country.cca3 === 'PAN');
+    const [result] = rankCountries(1000000, 'USD', { ...rates, PAB: 0.5 }, panama).results;
+
+    assert.equal(result.currency, 'PAB');
+    assert.equal(result.tier, 'millionaire');
+    assert.equal(result.currencyResults.find(c => c.best).code, 'USD');
+});
+
+test('buildRanking counts each tier and the countries reached', () => {
+    // 1,000,000 USD is a million in the US and Panama, less in Europe and
+    // more in India and Japan
+    const ranking = buildRanking({ wealth: 1000000, currency: 'USD', rates, countries });
+    const counts = Object.fromEntries(ranking.tiers.map(tier => [tier.id, tier.count]));
+
+    assert.equal(ranking.totalCountries, 6);
+    assert.equal(ranking.skippedCountries, 2);
+    assert.equal(counts.thousandaire, 2);
+    assert.equal(counts.millionaire, 2);
+    assert.equal(counts.decamillionaire, 1);
+    assert.equal(counts.centimillionaire, 1);
+    assert.equal(ranking.countries.find(country => country.cca3 === 'IND').tier, 'decamillionaire');
+});
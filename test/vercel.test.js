@@ -0,0 +1,97 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { resetState, mockRates, mockCountries, mockCountriesOk, listen, vercelHandler } = require('./helpers');
+
+test.beforeEach(resetState);
+
+// Call a function in api/ the way Vercel routes to it; `params` are its
+// dynamic path segments
+async function call(file, path, { params, method = 'GET', body } = {}) {
+    const server = await listen(vercelHandler(require(`../api/${file}`), params));
+    try {
+        const response = await fetch(`${server.url}${path}`, {
+            method: method,
+            headers: body ? { 'Content-Type': 'application/json' } : {},
+            body: body ? JSON.stringify(body) : undefined
+        });
+        return { response, body: await response.json() };
+    } finally {
+        await server.close();
+    }
+}
+
+test('api/countries.js serves the live list', async () => {
+    mockCountriesOk();
+
+    const { response, body } = await call('countries.js', '/api/countries');
+
+    assert.equal(response.status, 200);
+    assert.equal(body.source, 'live');
+    assert.equal(body.countries.length, 8);
+    assert.equal(response.headers.get('X-Content-Type-Options'), 'nosniff');
+});
+
+test('api/countries.js serves the snapshot when restcountries is down', async () => {
+    ['v3Fields', 'v3', 'v2'].forEach(endpoint => mockCountries(endpoint, 'error'));
+
+    const { body } = await call('countries.js', '/api/countries');
+
+    assert.equal(body.source, 'snapshot');
+    assert.ok(body.snapshotDate);
+});
+
+test('api/countries/[code].js reads the code from the dynamic segment', async () => {
+    mockRates('ok');
+    mockCountriesOk();
+
+    const { response, body } = await call('countries/[code].js', '/api/countries/JP?wealth=1000000&currency=USD', {
+        params: { code: 'JP' }
+    });
+
+    assert.equal(response.status, 200);
+    assert.equal(body.country.cca3, 'JPN');
+    assert.equal(body.country.currencies[0].wealthInLocalCurrency, 145000000);
+    assert.equal(body.ratesDate, '2024-09-30');
+});
+
+test('api/countries/[code].js rejects unknown countries', async () => {
+    mockRates('ok');
+    mockCountriesOk();
+
+    const { response, body } = await call('countries/[code].js', '/api/countries/XX', { params: { code: 'XX' } });
+
+    assert.equal(response.status, 404);
+    assert.equal(body.code, 'COUNTRY_NOT_FOUND');
+});
+
+test('api/calculate-ranking.js ranks a POSTed amount', async () => {
+    mockRates('ok');
+    mockCountriesOk();
+
+    const { response, body } = await call('calculate-ranking.js', '/api/calculate-ranking', {
+        method: 'POST',
+        body: { wealth: 100000000, currency: 'JPY' }
+    });
+
+    assert.equal(response.status, 200);
+    assert.equal(body.countries.find(c => c.cca3 === 'JPN').tier, 'centimillionaire');
+    assert.deepEqual(body.skipped.map(c => c.cca3).sort(), ['ATA', 'ZWE']);
+});
+
+test('api/calculate-ranking.js rejects unsupported methods', async () => {
+    const { response, body } = await call('calculate-ranking.js', '/api/calculate-ranking', { method: 'PUT' });
+
+    assert.equal(response.status, 405);
+    assert.equal(body.code, 'METHOD_NOT_ALLOWED');
+});
+
+test('api/exchange-rates.js serves the provider rates', async () => {
+    mockRates('ok');
+
+    const { response, body } = await call('exchange-rates.js', '/api/exchange-rates');
+
+    assert.equal(response.status, 200);
+    assert.equal(body.provider, 'exchangerate-api');
+    assert.equal(body.rates.EUR, 0.9);
+    assert.equal(response.headers.get('X-Rates-Stale'), 'false');
+});